@@ -1,18 +1,108 @@
-import { useState, useRef, useEffect, useCallback } from 'react';
+import { useState, useRef, useEffect, useCallback, useMemo } from 'react';
 import { VideoUpload } from './components/VideoUpload';
+import { BatchQueue } from './components/BatchQueue';
+import { SequenceEditor } from './components/SequenceEditor';
+import { ShortcutHelp } from './components/ShortcutHelp';
 import { VideoPreview } from './components/VideoPreview';
 import { Timeline } from './components/Timeline';
 import { CropControls } from './components/CropControls';
 import { SpeedControls } from './components/SpeedControls';
+import { AudioControls } from './components/AudioControls';
+import { PlaybackControls } from './components/PlaybackControls';
+import { TextOverlayControls } from './components/TextOverlayControls';
+import { SubtitleControls } from './components/SubtitleControls';
+import { WatermarkControls } from './components/WatermarkControls';
+import { TransformControls } from './components/TransformControls';
 import { ExportButton } from './components/ExportButton';
+import { ProjectControls } from './components/ProjectControls';
 import { generateThumbnails, generateThumbnailsFromVideo } from './utils/thumbnails';
+import { getKeyframeTimes, getReverseLimitMessage } from './utils/ffmpeg';
+import { generateWaveform } from './utils/waveform';
+import { probeMedia } from './utils/mediaProbe';
+import {
+  createRange,
+  findRangeAt,
+  getKeepSegments,
+  getOutputOffset,
+  getOutputDuration,
+  getSegmentsDuration,
+  applySpeedRanges,
+  getSpeedAt,
+  snapSegmentsToKeyframes,
+  MIN_RANGE_DURATION
+} from './utils/segments';
+import { INITIAL_EDIT } from './utils/editState';
+import { getAudioGain, hasAudioEffects } from './utils/audio';
+import { createTextOverlay, getTextOverlayBox } from './utils/textOverlay';
+import { findCueAt, getPlainCueText } from './utils/subtitles';
+import { getBrandWatermark, getWatermarkRect } from './utils/watermark';
+import { getTransformedSize, rotateTransform, rotateRect, flipRect, moveUprightRect, isIdentityTransform } from './utils/transform';
+import { getCenteredCrop } from './utils/crop';
+import { getOutputDimensions } from './utils/outputSize';
+import { createPendingClip } from './utils/sequence';
+import { useEditHistory } from './hooks/useEditHistory';
+import { useReversePlayback } from './hooks/useReversePlayback';
 import './index.css';
 
+// Text fields keep their native undo and typing shortcuts
+function isTypingTarget(target) {
+  if (!target) return false;
+  if (target.isContentEditable || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT') return true;
+  if (target.tagName !== 'INPUT') return false;
+  return !['range', 'checkbox', 'radio', 'button'].includes(target.type);
+}
+
+// Carry the crop, text overlays and a custom-placed logo along with a rotate/flip.
+// `moveRect(rect, frame)` maps a rect inside a frame of the given size.
+function moveWithFrame(edit, frame, moveRect) {
+  const cropArea = moveRect(edit.cropArea, frame);
+  const textOverlays = edit.textOverlays.map(overlay => {
+    const box = moveUprightRect(getTextOverlayBox(overlay), rect => moveRect(rect, frame));
+    return { ...overlay, x: Math.round(box.x), y: Math.round(box.y) };
+  });
+
+  // Corner presets follow the crop by themselves; a custom position is
+  // relative to the crop, so it moves inside the crop
+  let watermark = edit.watermark;
+  if (watermark && !watermark.corner) {
+    const rect = getWatermarkRect(watermark, edit.cropArea);
+    const local = { ...rect, x: rect.x - edit.cropArea.x, y: rect.y - edit.cropArea.y };
+    const moved = moveUprightRect(local, r => moveRect(r, edit.cropArea));
+    const size = getWatermarkRect(watermark, cropArea);
+    watermark = {
+      ...watermark,
+      x: (moved.x + (local.width - size.width) / 2) / cropArea.width,
+      y: (moved.y + (local.height - size.height) / 2) / cropArea.height
+    };
+  }
+
+  return { cropArea, textOverlays, watermark };
+}
+
+// `media` holds the stream info read by probeMedia (codecs, fps, audio, rotation...)
+const EMPTY_VIDEO_META = { duration: 0, width: 0, height: 0, media: null };
+
+// Browsers refuse faster playback rates, so timelapse previews are capped
+const MAX_PREVIEW_RATE = 16;
+
+// J/L shuttle multipliers - each press in the same direction moves to the next
+const SHUTTLE_RATES = [1, 2, 4, 8];
+
+// Frame step when the probe found no frame rate
+const DEFAULT_FRAME_RATE = 30;
+
 function App() {
   // Video state
   const [videoFile, setVideoFile] = useState(null);
-  const [videoMeta, setVideoMeta] = useState({ duration: 0, width: 0, height: 0 });
+  // Files dropped together, exported with shared settings by the batch queue
+  const [batchFiles, setBatchFiles] = useState(null);
+  // Clips being joined by the sequence editor
+  const [sequenceClips, setSequenceClips] = useState(null);
+  const [videoMeta, setVideoMeta] = useState(EMPTY_VIDEO_META);
   const [isPlaying, setIsPlaying] = useState(false);
+  // Multiplier of the J/L shuttle, on top of the edit's speed
+  const [shuttleRate, setShuttleRate] = useState(1);
+  const [showShortcuts, setShowShortcuts] = useState(false);
   const [currentTime, setCurrentTime] = useState(0);
   const [thumbnails, setThumbnails] = useState([]);
 
@@ -21,14 +111,100 @@ function App() {
   const [recordingTime, setRecordingTime] = useState(0);
   const recordingTimerRef = useRef(null);
 
-  // Edit state
-  const [cropArea, setCropArea] = useState({ x: 0, y: 0, width: 0, height: 0 });
-  const [selectedRatio, setSelectedRatio] = useState(null);
-  const [speed, setSpeed] = useState(1);
-  const [trimStart, setTrimStart] = useState(0);
-  const [trimEnd, setTrimEnd] = useState(0);
+  // Edit state - tracked by the undo/redo history
+  const {
+    state: edit,
+    set: setEdit,
+    reset: resetEdit,
+    undo,
+    redo,
+    canUndo,
+    canRedo
+  } = useEditHistory(INITIAL_EDIT);
+  const { cropArea, selectedRatio, transform, speed, timelapse, trimStart, trimEnd, removedRanges, speedRanges, audio, playback, textOverlays, subtitles, watermark, outputSize } = edit;
+
+  // Crop and ratio share a key so a ratio preset (ratio + crop) is one history entry
+  const setCropArea = useCallback((value) => setEdit({ cropArea: value }, { coalesce: 'crop' }), [setEdit]);
+  const setSelectedRatio = useCallback((value) => setEdit({ selectedRatio: value }, { coalesce: 'crop' }), [setEdit]);
+  const setSpeed = useCallback((value) => setEdit({ speed: value }, { coalesce: 'speed' }), [setEdit]);
+  const setTimelapse = useCallback((patch) => setEdit(
+    prev => ({ timelapse: { ...prev.timelapse, ...patch } }),
+    { coalesce: 'speed' }
+  ), [setEdit]);
+  // Global speed the output is rendered at
+  const outputSpeed = timelapse.enabled ? timelapse.speed : speed;
+  const setSpeedRanges = useCallback((value) => setEdit(
+    prev => ({ speedRanges: typeof value === 'function' ? value(prev.speedRanges) : value }),
+    { coalesce: 'speedRanges' }
+  ), [setEdit]);
+  const setTextOverlays = useCallback((value) => setEdit(
+    prev => ({ textOverlays: typeof value === 'function' ? value(prev.textOverlays) : value }),
+    { coalesce: 'text' }
+  ), [setEdit]);
+  const [selectedTextId, setSelectedTextId] = useState(null);
+  const setSubtitles = useCallback((value) => setEdit({ subtitles: value }), [setEdit]);
+  const setWatermark = useCallback((value) => setEdit({ watermark: value }, { coalesce: 'watermark' }), [setEdit]);
+  // Dragging on the preview only sends the new position
+  const handleWatermarkMove = useCallback((patch) => setEdit(
+    prev => ({ watermark: { ...prev.watermark, ...patch } }),
+    { coalesce: 'watermark' }
+  ), [setEdit]);
+  const setAudio = useCallback((patch) => setEdit(
+    prev => ({ audio: { ...prev.audio, ...patch } }),
+    { coalesce: 'audio' }
+  ), [setEdit]);
+  const setPlayback = useCallback((patch) => setEdit(
+    prev => ({ playback: { ...prev.playback, ...patch } })
+  ), [setEdit]);
+  // Size of the rotated/flipped frame the crop lives in
+  const frameSize = getTransformedSize(videoMeta.width, videoMeta.height, transform);
+  // Rotating and flipping carry the crop along, so it keeps framing the same content
+  const handleRotate = useCallback((direction) => setEdit(prev => ({
+    transform: rotateTransform(prev.transform, direction),
+    ...moveWithFrame(
+      prev,
+      getTransformedSize(videoMeta.width, videoMeta.height, prev.transform),
+      (rect, frame) => rotateRect(rect, frame, direction)
+    ),
+    // A ratio turns into its inverse
+    selectedRatio: null
+  })), [setEdit, videoMeta.width, videoMeta.height]);
+  const handleFlip = useCallback((axis) => setEdit(prev => ({
+    transform: { ...prev.transform, [axis]: !prev.transform[axis] },
+    ...moveWithFrame(
+      prev,
+      getTransformedSize(videoMeta.width, videoMeta.height, prev.transform),
+      (rect, frame) => flipRect(rect, frame, axis)
+    )
+  })), [setEdit, videoMeta.width, videoMeta.height]);
+  const setOutputSize = useCallback((patch) => setEdit(
+    prev => ({ outputSize: { ...prev.outputSize, ...patch } }),
+    { coalesce: 'outputSize' }
+  ), [setEdit]);
+  // Platform presets also crop to their ratio, so the output isn't letterboxed
+  const handlePlatformPreset = useCallback((preset) => {
+    const ratio = preset.width / preset.height;
+    setEdit(prev => ({
+      outputSize: { ...prev.outputSize, preset: preset.key },
+      selectedRatio: ratio,
+      cropArea: getCenteredCrop(ratio, frameSize.width, frameSize.height)
+    }));
+  }, [setEdit, frameSize.width, frameSize.height]);
+  const setRemovedRanges = useCallback((value) => setEdit(
+    prev => ({ removedRanges: typeof value === 'function' ? value(prev.removedRanges) : value }),
+    { coalesce: 'ranges' }
+  ), [setEdit]);
+
+  // Export mode - 'fast' cuts with stream copy at keyframes instead of re-encoding
+  const [exportMode, setExportMode] = useState('reencode');
+  const [keyframes, setKeyframes] = useState(null);
+  const [waveform, setWaveform] = useState(null);
 
   const videoRef = useRef(null);
+  // Video whose crop/trim were already initialized from its metadata
+  const initializedVideoRef = useRef(null);
+  // Edit restored from a project file, applied once the video metadata loads
+  const pendingEditRef = useRef(null);
 
   // Format recording time
   const formatRecordingTime = (seconds) => {
@@ -68,11 +244,13 @@ function App() {
     console.log('handleVideoLoad called, knownDuration:', knownDuration);
 
     setVideoFile(file);
+    setVideoMeta(prev => ({ ...prev, media: null }));
     setIsPlaying(false);
     setCurrentTime(0);
-    setSpeed(1);
-    setSelectedRatio(null);
+    // New videos start with the brand logo, when one was saved
+    resetEdit({ ...INITIAL_EDIT, watermark: getBrandWatermark() });
     setThumbnails([]);
+    setKeyframes(null);
 
     // Check if this is a screen recording
     const isScreenRecording = file.type === 'video/webm' && file.name.startsWith('gravacao_');
@@ -84,8 +262,7 @@ function App() {
 
       // Set video meta with known duration immediately (will be updated with dimensions later)
       setVideoMeta(prev => ({ ...prev, duration: knownDuration }));
-      setTrimStart(0);
-      setTrimEnd(knownDuration);
+      resetEdit({ trimStart: 0, trimEnd: knownDuration });
     } else {
       window._knownVideoDuration = null;
     }
@@ -100,20 +277,52 @@ function App() {
         setThumbnails([]);
       }
     }
-  }, []);
+  }, [resetEdit]);
 
   // Handle new video
   const handleNewVideo = () => {
     setVideoFile(null);
-    setVideoMeta({ duration: 0, width: 0, height: 0 });
-    setCropArea({ x: 0, y: 0, width: 0, height: 0 });
+    setVideoMeta(EMPTY_VIDEO_META);
     setThumbnails([]);
     setCurrentTime(0);
-    setSpeed(1);
-    setTrimStart(0);
-    setTrimEnd(0);
+    resetEdit(INITIAL_EDIT);
+    setKeyframes(null);
+    initializedVideoRef.current = null;
+    pendingEditRef.current = null;
+  };
+
+  // Leave the editor and start a sequence with the current clip and its trim
+  // (screen recordings keep the duration measured while loading)
+  const handleOpenSequence = () => {
+    const clip = createPendingClip(videoFile, { duration: videoMeta.duration, trimStart, trimEnd });
+    handleNewVideo();
+    setSequenceClips([clip]);
   };
 
+  // Move the files of the batch queue into a sequence
+  const handleJoinBatch = (files) => {
+    setBatchFiles(null);
+    setSequenceClips(files.map(file => createPendingClip(file)));
+  };
+
+  // Restore a saved project - directly if its video is already loaded,
+  // otherwise after the relinked file finishes loading
+  const handleProjectOpen = useCallback((file, projectEdit) => {
+    if (file === videoFile) {
+      resetEdit(projectEdit);
+      if (videoRef.current) {
+        videoRef.current.currentTime = projectEdit.trimStart;
+        setCurrentTime(projectEdit.trimStart);
+      }
+      return;
+    }
+
+    pendingEditRef.current = projectEdit;
+    initializedVideoRef.current = null;
+    setVideoMeta(EMPTY_VIDEO_META);
+    handleVideoLoad(file, null);
+  }, [videoFile, resetEdit, handleVideoLoad]);
+
   // Handle video metadata loaded - use known duration for screen recordings
   const handleLoadedMetadata = useCallback((meta) => {
     console.log('handleLoadedMetadata called, meta:', meta, 'known:', window._knownVideoDuration, 'current:', videoMeta.duration);
@@ -137,22 +346,36 @@ function App() {
 
     console.log('handleLoadedMetadata setting duration:', duration);
 
-    setVideoMeta({
+    setVideoMeta(prev => ({
+      ...prev,
       ...meta,
       duration
-    });
-    setCropArea({
-      x: 0,
-      y: 0,
-      width: meta.width,
-      height: meta.height
-    });
-    setTrimStart(0);
-    setTrimEnd(duration);
+    }));
 
     // Clear known duration after use
     window._knownVideoDuration = null;
-  }, [videoMeta.duration]);
+
+    // Later metadata events (canplay, durationchange) must not wipe edits or history
+    if (initializedVideoRef.current === videoFile) return;
+    initializedVideoRef.current = videoFile;
+
+    if (pendingEditRef.current) {
+      resetEdit(pendingEditRef.current);
+      pendingEditRef.current = null;
+      return;
+    }
+
+    resetEdit({
+      cropArea: {
+        x: 0,
+        y: 0,
+        width: meta.width,
+        height: meta.height
+      },
+      trimStart: 0,
+      trimEnd: duration
+    });
+  }, [videoMeta.duration, videoFile, resetEdit]);
 
   // Update duration when it becomes available
   useEffect(() => {
@@ -162,7 +385,8 @@ function App() {
     const updateDuration = () => {
       if (isFinite(video.duration) && video.duration > 0 && videoMeta.duration === 0) {
         setVideoMeta(prev => ({ ...prev, duration: video.duration }));
-        setTrimEnd(video.duration);
+        // Keep a trim restored from a project
+        resetEdit(prev => (prev.trimEnd > 0 ? {} : { trimEnd: video.duration }));
       }
     };
 
@@ -175,7 +399,7 @@ function App() {
       video.removeEventListener('canplaythrough', updateDuration);
       video.removeEventListener('timeupdate', updateDuration);
     };
-  }, [videoFile, videoMeta.duration]);
+  }, [videoFile, videoMeta.duration, resetEdit]);
 
   // Generate thumbnails for screen recordings after video is ready
   useEffect(() => {
@@ -211,32 +435,185 @@ function App() {
     };
   }, [videoFile, videoMeta.duration, thumbnails.length]);
 
+  // Fast trim only works when nothing but the cut points changed
+  const canFastTrim = outputSpeed === 1 &&
+    speedRanges.length === 0 &&
+    !hasAudioEffects(audio) &&
+    playback.mode === 'normal' &&
+    textOverlays.length === 0 &&
+    !subtitles &&
+    !watermark &&
+    isIdentityTransform(transform) &&
+    outputSize.preset === 'source' &&
+    Math.round(cropArea.x) === 0 &&
+    Math.round(cropArea.y) === 0 &&
+    Math.round(cropArea.width) >= videoMeta.width &&
+    Math.round(cropArea.height) >= videoMeta.height;
+  const isFastMode = exportMode === 'fast' && canFastTrim;
+  const videoKeyframes = keyframes && keyframes.file === videoFile ? keyframes.times : null;
+
+  // Scan keyframes the first time fast mode is used for a video
+  useEffect(() => {
+    if (!isFastMode || !videoFile || videoKeyframes) return;
+
+    let cancelled = false;
+    getKeyframeTimes(videoFile)
+      .then((times) => {
+        if (!cancelled) setKeyframes({ file: videoFile, times });
+      })
+      .catch((err) => {
+        // A scan cut short by a restarted worker is not a failure
+        if (cancelled || err.name === 'AbortError') return;
+        console.error('Keyframe scan failed:', err);
+        setExportMode('reencode');
+        alert('Não foi possível analisar os keyframes: ' + err.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isFastMode, videoFile, videoKeyframes]);
+
+  // Segments kept in the output (trim window minus removed ranges)
+  const keepSegments = useMemo(
+    () => getKeepSegments(trimStart, trimEnd, removedRanges),
+    [trimStart, trimEnd, removedRanges]
+  );
+  // Kept segments split at the speed ranges, each with the speed it's rendered at
+  const outputSegments = useMemo(
+    () => applySpeedRanges(keepSegments, speedRanges, outputSpeed),
+    [keepSegments, speedRanges, outputSpeed]
+  );
+  const outputDuration = getOutputDuration(outputSegments);
+  // Boomerang plays the kept video forward and then backward
+  const exportedDuration = playback.mode === 'boomerang' ? outputDuration * 2 : outputDuration;
+
+  // Reverse/boomerang buffer every frame of the clip at the MP4/WebM output size
+  const reverseLimit = getReverseLimitMessage({
+    ...(getOutputDimensions(outputSize, Math.round(cropArea.width), Math.round(cropArea.height))
+      || { width: Math.round(cropArea.width), height: Math.round(cropArea.height) }),
+    fps: videoMeta.media?.fps,
+    duration: getSegmentsDuration(keepSegments),
+  });
+
+  // Segments as they will actually be cut in fast mode
+  const fastSegments = useMemo(() => {
+    if (!isFastMode || !videoKeyframes) return null;
+    return snapSegmentsToKeyframes(
+      keepSegments,
+      videoKeyframes,
+      videoMeta.duration
+    );
+  }, [isFastMode, videoKeyframes, keepSegments, videoMeta.duration]);
+
+  // Read the stream info (audio presence, codecs, fps...) once per video
+  useEffect(() => {
+    if (!videoFile) return;
+
+    let cancelled = false;
+    probeMedia(videoFile)
+      .then((media) => {
+        if (!cancelled) setVideoMeta(prev => ({ ...prev, media }));
+      })
+      .catch((err) => {
+        console.warn('Failed to probe media:', err);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [videoFile]);
+
+  const videoWaveform = waveform && waveform.file === videoFile ? waveform.peaks : null;
+
+  // Decode the audio waveform in the background once per video
+  useEffect(() => {
+    if (!videoFile) return;
+
+    let cancelled = false;
+    generateWaveform(videoFile)
+      .then((peaks) => {
+        if (!cancelled) setWaveform({ file: videoFile, peaks });
+      })
+      .catch((err) => {
+        console.warn('Failed to generate waveform:', err);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [videoFile]);
+
+  // Backward half of the reverse/boomerang preview
+  const handleReverseEnd = useCallback(() => setIsPlaying(false), []);
+  const { start: startReverse, stop: stopReverse, isActive: isReversing } = useReversePlayback(videoRef, {
+    segments: outputSegments,
+    speed: outputSpeed,
+    rate: shuttleRate,
+    onTimeUpdate: setCurrentTime,
+    onEnd: handleReverseEnd
+  });
+
   // Play/Pause
   const handlePlayPause = useCallback(() => {
     if (!videoRef.current) return;
 
     if (isPlaying) {
+      stopReverse();
       videoRef.current.pause();
+    } else if (playback.mode === 'reverse') {
+      // Start from the end when there's nothing left to play backward
+      if (videoRef.current.currentTime <= trimStart + MIN_RANGE_DURATION) {
+        videoRef.current.currentTime = trimEnd;
+      }
+      startReverse();
     } else {
       if (videoRef.current.currentTime >= trimEnd) {
         videoRef.current.currentTime = trimStart;
       }
+      // Don't start playback inside a removed range
+      const removed = findRangeAt(removedRanges, videoRef.current.currentTime);
+      if (removed) {
+        videoRef.current.currentTime = Math.min(removed.end, trimEnd);
+      }
       videoRef.current.play();
     }
+    // Space always plays at the edit's own speed
+    setShuttleRate(1);
     setIsPlaying(!isPlaying);
-  }, [isPlaying, trimStart, trimEnd]);
+  }, [isPlaying, trimStart, trimEnd, removedRanges, playback.mode, startReverse, stopReverse]);
 
-  // Apply playback rate
+  // Preview gain for a source time - fades are measured on the output timeline
+  const dropsTimelapseAudio = timelapse.enabled && !timelapse.keepAudio;
+  const getPreviewGain = useCallback((time) => (dropsTimelapseAudio ? 0 : getAudioGain(
+    audio,
+    getOutputOffset(outputSegments, time),
+    outputDuration
+  )), [audio, outputSegments, outputDuration, dropsTimelapseAudio]);
+
+  // Subtitle cues are timed against the source, so the preview needs no retiming
+  const currentCue = subtitles ? findCueAt(subtitles.cues, currentTime) : null;
+
+  // Apply playback rate - the speed range under the playhead wins over the global speed
+  const currentSpeed = Math.min(getSpeedAt(speedRanges, currentTime, outputSpeed) * shuttleRate, MAX_PREVIEW_RATE);
   useEffect(() => {
     if (videoRef.current) {
-      videoRef.current.playbackRate = speed;
+      videoRef.current.playbackRate = currentSpeed;
     }
-  }, [speed]);
+  }, [currentSpeed]);
 
   // Handle time update - enforce trim limits
   const handleTimeUpdate = useCallback((time) => {
+    // Seeks made by the backward preview are already inside the kept segments
+    if (isReversing()) return;
+
     // Clamp time within trim bounds
     if (time >= trimEnd) {
+      // Boomerang preview: turn around at the end
+      if (playback.mode === 'boomerang' && isPlaying) {
+        startReverse();
+        return;
+      }
       if (videoRef.current) {
         videoRef.current.pause();
         videoRef.current.currentTime = trimEnd;
@@ -254,23 +631,36 @@ function App() {
       return;
     }
 
+    // Skip removed ranges during playback
+    const removed = findRangeAt(removedRanges, time);
+    if (removed && videoRef.current && !videoRef.current.paused) {
+      const skipTo = Math.min(removed.end, trimEnd);
+      videoRef.current.currentTime = skipTo;
+      setCurrentTime(skipTo);
+      return;
+    }
+
     setCurrentTime(time);
-  }, [trimStart, trimEnd]);
+  }, [trimStart, trimEnd, removedRanges, isPlaying, playback.mode, startReverse, isReversing]);
 
   // Handle seek - limit to trim range
   const handleSeek = useCallback((time) => {
+    // Seeking ends the backward preview
+    if (isReversing()) {
+      stopReverse();
+      setIsPlaying(false);
+    }
     if (videoRef.current) {
       // Clamp time to trim range
       const clampedTime = Math.max(trimStart, Math.min(trimEnd, time));
       videoRef.current.currentTime = clampedTime;
       setCurrentTime(clampedTime);
     }
-  }, [trimStart, trimEnd]);
+  }, [trimStart, trimEnd, isReversing, stopReverse]);
 
   // Handle trim change
   const handleTrimChange = useCallback((start, end) => {
-    setTrimStart(start);
-    setTrimEnd(end);
+    setEdit({ trimStart: start, trimEnd: end }, { coalesce: 'trim' });
 
     if (videoRef.current) {
       const current = videoRef.current.currentTime;
@@ -282,7 +672,98 @@ function App() {
         setCurrentTime(end);
       }
     }
-  }, []);
+  }, [setEdit]);
+
+  // Remove a range starting at the playhead (2s by default, limited to the trim window)
+  const handleAddCut = useCallback(() => {
+    const start = Math.max(trimStart, Math.min(currentTime, trimEnd - MIN_RANGE_DURATION));
+    const end = Math.min(trimEnd, start + 2);
+    if (end - start < MIN_RANGE_DURATION) return;
+
+    setRemovedRanges(ranges => [...ranges, createRange(start, end)]);
+  }, [currentTime, trimStart, trimEnd, setRemovedRanges]);
+
+  // Text overlays - a new one shows for 3 seconds from the playhead
+  const handleAddText = useCallback(() => {
+    const start = Math.max(trimStart, Math.min(currentTime, trimEnd - MIN_RANGE_DURATION));
+    const overlay = createTextOverlay(start, Math.min(trimEnd, start + 3), cropArea);
+    setTextOverlays(overlays => [...overlays, overlay]);
+    setSelectedTextId(overlay.id);
+  }, [currentTime, trimStart, trimEnd, cropArea, setTextOverlays]);
+
+  const handleTextOverlayChange = useCallback((id, patch) => {
+    setTextOverlays(overlays => overlays.map(overlay => (overlay.id === id ? { ...overlay, ...patch } : overlay)));
+  }, [setTextOverlays]);
+
+  const handleRemoveText = useCallback((id) => {
+    setTextOverlays(overlays => overlays.filter(overlay => overlay.id !== id));
+    setSelectedTextId(null);
+  }, [setTextOverlays]);
+
+  // Speed up the 2 seconds after the playhead (adjustable on the timeline)
+  const handleAddSpeedRange = useCallback(() => {
+    const start = Math.max(trimStart, Math.min(currentTime, trimEnd - MIN_RANGE_DURATION));
+    const end = Math.min(trimEnd, start + 2);
+    if (end - start < MIN_RANGE_DURATION) return;
+
+    setSpeedRanges(ranges => [...ranges, { ...createRange(start, end), speed: 2 }]);
+  }, [currentTime, trimStart, trimEnd, setSpeedRanges]);
+
+  // J/L shuttle: start playing in a direction, or speed up when already going that way
+  const handleShuttle = useCallback((direction) => {
+    const video = videoRef.current;
+    if (!video) return;
+
+    const isBackward = direction < 0;
+    if (isPlaying && isReversing() === isBackward) {
+      setShuttleRate(rate => SHUTTLE_RATES[Math.min(SHUTTLE_RATES.indexOf(rate) + 1, SHUTTLE_RATES.length - 1)]);
+      return;
+    }
+
+    setShuttleRate(1);
+    if (isBackward) {
+      if (video.currentTime <= trimStart + MIN_RANGE_DURATION) {
+        video.currentTime = trimEnd;
+      }
+      startReverse();
+    } else {
+      stopReverse();
+      if (video.currentTime >= trimEnd) {
+        video.currentTime = trimStart;
+      }
+      video.play();
+    }
+    setIsPlaying(true);
+  }, [isPlaying, trimStart, trimEnd, isReversing, startReverse, stopReverse]);
+
+  // K: stop the shuttle
+  const handleStop = useCallback(() => {
+    if (!videoRef.current) return;
+    stopReverse();
+    videoRef.current.pause();
+    setShuttleRate(1);
+    setIsPlaying(false);
+  }, [stopReverse]);
+
+  // Move the playhead by a number of frames (at the probed frame rate) or seconds
+  const handleStep = useCallback((frames, seconds = 0) => {
+    if (!videoRef.current) return;
+    if (isPlaying) handleStop();
+
+    const fps = videoMeta.media?.fps || DEFAULT_FRAME_RATE;
+    handleSeek(videoRef.current.currentTime + frames / fps + seconds);
+  }, [isPlaying, handleStop, handleSeek, videoMeta.media]);
+
+  // I/O: trim edges at the playhead, keeping at least MIN_RANGE_DURATION
+  const handleMarkIn = useCallback(() => {
+    const time = videoRef.current ? videoRef.current.currentTime : currentTime;
+    handleTrimChange(Math.max(0, Math.min(time, trimEnd - MIN_RANGE_DURATION)), trimEnd);
+  }, [currentTime, trimEnd, handleTrimChange]);
+
+  const handleMarkOut = useCallback(() => {
+    const time = videoRef.current ? videoRef.current.currentTime : currentTime;
+    handleTrimChange(trimStart, Math.min(videoMeta.duration, Math.max(time, trimStart + MIN_RANGE_DURATION)));
+  }, [currentTime, trimStart, videoMeta.duration, handleTrimChange]);
 
   // Handle video ended
   useEffect(() => {
@@ -297,18 +778,59 @@ function App() {
     return () => video.removeEventListener('ended', handleEnded);
   }, [videoFile]);
 
-  // Keyboard shortcuts
+  const handleCloseShortcuts = useCallback(() => setShowShortcuts(false), []);
+
+  // Keyboard shortcuts - see ShortcutHelp for the list
   useEffect(() => {
     const handleKeyDown = (e) => {
-      if (e.code === 'Space' && videoFile) {
+      if (!videoFile || isTypingTarget(e.target)) return;
+      // The help overlay only listens for its own keys
+      if (showShortcuts && e.key !== '?') return;
+
+      if (e.code === 'Space') {
         e.preventDefault();
         handlePlayPause();
+        return;
+      }
+
+      // Undo: Ctrl+Z / Redo: Ctrl+Shift+Z (or Ctrl+Y)
+      if (e.ctrlKey || e.metaKey) {
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+          e.preventDefault();
+          undo();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+          e.preventDefault();
+          redo();
+        }
+        return;
+      }
+      if (e.altKey) return;
+      // Sliders keep their own arrow keys
+      if (e.target.type === 'range' && e.key.startsWith('Arrow')) return;
+
+      const actions = {
+        j: () => handleShuttle(-1),
+        k: handleStop,
+        l: () => handleShuttle(1),
+        i: handleMarkIn,
+        o: handleMarkOut,
+        arrowleft: () => (e.shiftKey ? handleStep(0, -1) : handleStep(-1)),
+        arrowright: () => (e.shiftKey ? handleStep(0, 1) : handleStep(1)),
+        home: () => handleSeek(trimStart),
+        end: () => handleSeek(trimEnd),
+        '?': () => setShowShortcuts(show => !show),
+      };
+      const action = actions[e.key.toLowerCase()];
+      if (action) {
+        e.preventDefault();
+        action();
       }
     };
 
     window.addEventListener('keydown', handleKeyDown);
     return () => window.removeEventListener('keydown', handleKeyDown);
-  }, [videoFile, handlePlayPause]);
+  }, [videoFile, showShortcuts, trimStart, trimEnd, handlePlayPause, handleShuttle, handleStop, handleStep, handleMarkIn, handleMarkOut, handleSeek, undo, redo]);
 
   return (
     <div className="app">
@@ -332,9 +854,79 @@ function App() {
         </div>
 
         <div className="header__controls">
+          {!isRecording && (
+            <ProjectControls
+              videoFile={videoFile}
+              edit={edit}
+              onProjectOpen={handleProjectOpen}
+            />
+          )}
           {videoFile && (
             <>
-              <SpeedControls speed={speed} onSpeedChange={setSpeed} />
+              <div className="history-buttons">
+                <button
+                  className="history-btn"
+                  onClick={undo}
+                  disabled={!canUndo}
+                  title="Desfazer (Ctrl+Z)"
+                >
+                  <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                    <polyline points="9 14 4 9 9 4" />
+                    <path d="M20 20v-7a4 4 0 0 0-4-4H4" />
+                  </svg>
+                </button>
+                <button
+                  className="history-btn"
+                  onClick={redo}
+                  disabled={!canRedo}
+                  title="Refazer (Ctrl+Shift+Z)"
+                >
+                  <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                    <polyline points="15 14 20 9 15 4" />
+                    <path d="M4 20v-7a4 4 0 0 1 4-4h12" />
+                  </svg>
+                </button>
+                <button
+                  className="history-btn"
+                  onClick={() => setShowShortcuts(true)}
+                  title="Atalhos de teclado (?)"
+                >
+                  <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                    <rect x="2" y="6" width="20" height="12" rx="2" />
+                    <line x1="6" y1="10" x2="6" y2="10" />
+                    <line x1="10" y1="10" x2="10" y2="10" />
+                    <line x1="14" y1="10" x2="14" y2="10" />
+                    <line x1="18" y1="10" x2="18" y2="10" />
+                    <line x1="7" y1="14" x2="17" y2="14" />
+                  </svg>
+                </button>
+              </div>
+              <SpeedControls
+                speed={speed}
+                onSpeedChange={setSpeed}
+                timelapse={timelapse}
+                onTimelapseChange={setTimelapse}
+                outputDuration={exportedDuration}
+              />
+              <TransformControls transform={transform} onRotate={handleRotate} onFlip={handleFlip} />
+              <PlaybackControls playback={playback} onPlaybackChange={setPlayback} reverseLimit={reverseLimit} />
+              <AudioControls
+                audio={audio}
+                onAudioChange={setAudio}
+                disabled={videoMeta.media ? !videoMeta.media.hasAudio : false}
+              />
+              <button
+                className="new-video-btn"
+                onClick={handleOpenSequence}
+                title="Juntar este clipe (com o corte atual) a outros vídeos"
+              >
+                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                  <rect x="2" y="6" width="8" height="12" rx="1" />
+                  <rect x="14" y="6" width="8" height="12" rx="1" />
+                  <line x1="10" y1="12" x2="14" y2="12" />
+                </svg>
+                Juntar
+              </button>
               <button className="new-video-btn" onClick={handleNewVideo}>
                 <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
                   <line x1="12" y1="5" x2="12" y2="19" />
@@ -350,9 +942,21 @@ function App() {
       {/* Main Content */}
       <main className="main-content">
         <div className="preview-area">
-          {!videoFile ? (
+          {sequenceClips ? (
+            <SequenceEditor
+              initialClips={sequenceClips}
+              onClose={() => setSequenceClips(null)}
+            />
+          ) : batchFiles ? (
+            <BatchQueue
+              initialFiles={batchFiles}
+              onClose={() => setBatchFiles(null)}
+              onJoin={handleJoinBatch}
+            />
+          ) : !videoFile ? (
             <VideoUpload
               onVideoLoad={handleVideoLoad}
+              onBatchLoad={setBatchFiles}
               isRecording={isRecording}
               onRecordingStart={handleRecordingStart}
               onRecordingEnd={handleRecordingEnd}
@@ -367,6 +971,16 @@ function App() {
               onPlayPause={handlePlayPause}
               onTimeUpdate={handleTimeUpdate}
               onLoadedMetadata={handleLoadedMetadata}
+              getAudioGain={getPreviewGain}
+              currentTime={currentTime}
+              textOverlays={textOverlays}
+              selectedTextId={selectedTextId}
+              onTextSelect={setSelectedTextId}
+              onTextOverlayChange={handleTextOverlayChange}
+              subtitleText={currentCue ? getPlainCueText(currentCue) : null}
+              watermark={watermark}
+              onWatermarkChange={handleWatermarkMove}
+              transform={transform}
             />
           )}
         </div>
@@ -380,7 +994,15 @@ function App() {
           trimStart={trimStart}
           trimEnd={trimEnd}
           thumbnails={thumbnails}
+          waveform={videoWaveform}
+          removedRanges={removedRanges}
+          speedRanges={speedRanges}
+          outputDuration={outputDuration}
+          keyframes={isFastMode ? videoKeyframes || [] : null}
+          snappedSegments={fastSegments}
           onTrimChange={handleTrimChange}
+          onRemovedRangesChange={setRemovedRanges}
+          onSpeedRangesChange={setSpeedRanges}
           onSeek={handleSeek}
         />
       )}
@@ -402,16 +1024,49 @@ function App() {
               )}
             </button>
 
+            <button className="cut-btn" onClick={handleAddCut} title="Remover trecho a partir do cursor">
+              <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <circle cx="6" cy="6" r="3" />
+                <circle cx="6" cy="18" r="3" />
+                <line x1="20" y1="4" x2="8.12" y2="15.88" />
+                <line x1="14.47" y1="14.48" x2="20" y2="20" />
+                <line x1="8.12" y1="8.12" x2="12" y2="12" />
+              </svg>
+              Remover trecho
+            </button>
+
+            <button className="cut-btn" onClick={handleAddSpeedRange} title="Mudar a velocidade de um trecho a partir do cursor">
+              <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <polygon points="13 19 22 12 13 5 13 19" />
+                <polygon points="2 19 11 12 2 5 2 19" />
+              </svg>
+              Velocidade do trecho
+            </button>
+
+            <TextOverlayControls
+              overlays={textOverlays}
+              selectedId={selectedTextId}
+              currentTime={currentTime}
+              onSelect={setSelectedTextId}
+              onAdd={handleAddText}
+              onChange={handleTextOverlayChange}
+              onRemove={handleRemoveText}
+            />
+
+            <SubtitleControls subtitles={subtitles} onSubtitlesChange={setSubtitles} />
+
+            <WatermarkControls watermark={watermark} onWatermarkChange={setWatermark} />
+
             <span className="hint-text">
-              <kbd>Alt</kbd> mantém proporção
+              <kbd>Alt</kbd> mantém proporção · <kbd>?</kbd> atalhos
             </span>
           </div>
 
           <div className="controls-bar__center">
             <CropControls
               cropArea={cropArea}
-              videoWidth={videoMeta.width}
-              videoHeight={videoMeta.height}
+              videoWidth={frameSize.width}
+              videoHeight={frameSize.height}
               onCropChange={setCropArea}
               selectedRatio={selectedRatio}
               onRatioChange={setSelectedRatio}
@@ -422,14 +1077,33 @@ function App() {
             <ExportButton
               videoFile={videoFile}
               cropArea={cropArea}
-              speed={speed}
+              speed={outputSpeed}
+              timelapse={timelapse}
               trimStart={trimStart}
               trimEnd={trimEnd}
+              removedRanges={removedRanges}
+              speedRanges={speedRanges}
+              exportMode={exportMode}
+              onExportModeChange={setExportMode}
+              canFastTrim={canFastTrim}
+              fastSegments={fastSegments}
+              mediaInfo={videoMeta.media}
+              audio={audio}
+              playback={playback}
+              textOverlays={textOverlays}
+              subtitles={subtitles}
+              watermark={watermark}
+              transform={transform}
+              outputSize={outputSize}
+              onOutputSizeChange={setOutputSize}
+              onPlatformPreset={handlePlatformPreset}
               disabled={!videoFile}
             />
           </div>
         </div>
       )}
+
+      {showShortcuts && <ShortcutHelp onClose={handleCloseShortcuts} />}
     </div>
   );
 }
@@ -0,0 +1,87 @@
+import { useState } from 'react';
+import { GAIN_RANGE, MAX_FADE_DURATION } from '../utils/audio';
+
+export function AudioControls({ audio, onAudioChange, disabled }) {
+    const [showPanel, setShowPanel] = useState(false);
+
+    const gainLabel = `${audio.gain > 0 ? '+' : ''}${audio.gain} dB`;
+
+    return (
+        <div className="audio-controls">
+            <button
+                className={`audio-controls__mute ${audio.muted ? 'audio-controls__mute--active' : ''}`}
+                onClick={() => onAudioChange({ muted: !audio.muted })}
+                disabled={disabled}
+                title={audio.muted ? 'Ativar áudio' : 'Remover áudio'}
+            >
+                {audio.muted ? (
+                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                        <polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5" />
+                        <line x1="23" y1="9" x2="17" y2="15" />
+                        <line x1="17" y1="9" x2="23" y2="15" />
+                    </svg>
+                ) : (
+                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                        <polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5" />
+                        <path d="M15.54 8.46a5 5 0 0 1 0 7.07" />
+                        <path d="M19.07 4.93a10 10 0 0 1 0 14.14" />
+                    </svg>
+                )}
+            </button>
+            <button
+                className="audio-controls__toggle"
+                onClick={() => setShowPanel(!showPanel)}
+                disabled={disabled || audio.muted}
+            >
+                Áudio {audio.gain !== 0 && gainLabel}
+                <svg width="10" height="10" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                    <polyline points="6 9 12 15 18 9" />
+                </svg>
+            </button>
+
+            {showPanel && !audio.muted && (
+                <div className="audio-panel">
+                    <div className="audio-panel__row">
+                        <span className="speed-label">Volume</span>
+                        <input
+                            type="range"
+                            className="speed-slider"
+                            min={GAIN_RANGE.min}
+                            max={GAIN_RANGE.max}
+                            step="1"
+                            value={audio.gain}
+                            onChange={(e) => onAudioChange({ gain: parseFloat(e.target.value) })}
+                        />
+                        <span className="speed-value">{gainLabel}</span>
+                    </div>
+                    <div className="audio-panel__row">
+                        <span className="speed-label">Fade in</span>
+                        <input
+                            type="range"
+                            className="speed-slider"
+                            min="0"
+                            max={MAX_FADE_DURATION}
+                            step="0.1"
+                            value={audio.fadeIn}
+                            onChange={(e) => onAudioChange({ fadeIn: parseFloat(e.target.value) })}
+                        />
+                        <span className="speed-value">{audio.fadeIn.toFixed(1)}s</span>
+                    </div>
+                    <div className="audio-panel__row">
+                        <span className="speed-label">Fade out</span>
+                        <input
+                            type="range"
+                            className="speed-slider"
+                            min="0"
+                            max={MAX_FADE_DURATION}
+                            step="0.1"
+                            value={audio.fadeOut}
+                            onChange={(e) => onAudioChange({ fadeOut: parseFloat(e.target.value) })}
+                        />
+                        <span className="speed-value">{audio.fadeOut.toFixed(1)}s</span>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
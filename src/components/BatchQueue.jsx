@@ -0,0 +1,321 @@
+import { useState, useRef, useEffect } from 'react';
+import { processVideo, OUTPUT_FORMATS } from '../utils/ffmpeg';
+import { probeMedia, readElementDuration } from '../utils/mediaProbe';
+import { ASPECT_RATIOS } from '../utils/crop';
+import { BATCH_SPEEDS, DEFAULT_BATCH_SETTINGS, buildBatchExportOptions } from '../utils/batch';
+
+const QUALITY_OPTIONS = [
+    { value: 'low', label: 'Baixa' },
+    { value: 'medium', label: 'Média' },
+    { value: 'high', label: 'Alta' },
+];
+
+const STATUS_LABELS = {
+    pending: 'Na fila',
+    probing: 'Analisando...',
+    running: 'Processando',
+    done: 'Concluído',
+    error: 'Erro',
+    cancelled: 'Cancelado',
+};
+
+function createJob(file) {
+    return {
+        id: crypto.randomUUID(),
+        file,
+        status: 'pending',
+        progress: 0,
+        error: null,
+        url: null,
+        fileName: null
+    };
+}
+
+export function BatchQueue({ initialFiles, onClose, onJoin }) {
+    const [jobs, setJobs] = useState(() => initialFiles.map(createJob));
+    const [settings, setSettings] = useState(DEFAULT_BATCH_SETTINGS);
+    const [isRunning, setIsRunning] = useState(false);
+    const inputRef = useRef(null);
+    const abortControllerRef = useRef(null);
+    const stopRequestedRef = useRef(false);
+    // Jobs removed while the queue runs, skipped when their turn comes
+    const removedIdsRef = useRef(new Set());
+    // Download URLs, revoked when the queue closes
+    const urlsRef = useRef(new Set());
+
+    useEffect(() => {
+        const urls = urlsRef.current;
+        return () => {
+            abortControllerRef.current?.abort();
+            urls.forEach(url => URL.revokeObjectURL(url));
+        };
+    }, []);
+
+    const updateJob = (id, patch) => {
+        setJobs(prev => prev.map(job => (job.id === id ? { ...job, ...patch } : job)));
+    };
+
+    const updateSettings = (patch) => setSettings(prev => ({ ...prev, ...patch }));
+
+    const handleAddFiles = (e) => {
+        const files = Array.from(e.target.files);
+        e.target.value = '';
+        setJobs(prev => [...prev, ...files.map(createJob)]);
+    };
+
+    const handleRemove = (job) => {
+        if (job.url) {
+            URL.revokeObjectURL(job.url);
+            urlsRef.current.delete(job.url);
+        }
+        removedIdsRef.current.add(job.id);
+        setJobs(prev => prev.filter(other => other.id !== job.id));
+    };
+
+    // Jobs run one after another - they all share the single FFmpeg instance
+    const handleStart = async () => {
+        const queue = jobs.filter(job => job.status === 'pending' || job.status === 'error' || job.status === 'cancelled');
+        if (queue.length === 0) return;
+
+        const jobSettings = settings;
+        const date = new Date().toISOString().slice(0, 10);
+        const extension = OUTPUT_FORMATS[jobSettings.format].extension;
+        stopRequestedRef.current = false;
+        removedIdsRef.current.clear();
+        setIsRunning(true);
+
+        for (const job of queue) {
+            if (stopRequestedRef.current) break;
+            if (removedIdsRef.current.has(job.id)) continue;
+
+            const abortController = new AbortController();
+            abortControllerRef.current = abortController;
+            updateJob(job.id, { status: 'probing', progress: 0, error: null });
+
+            try {
+                const media = await probeMedia(job.file);
+                // Screen recordings have no duration in their header
+                const duration = media.duration || await readElementDuration(job.file);
+                const options = buildBatchExportOptions(jobSettings, { ...media, duration });
+                updateJob(job.id, { status: 'running' });
+
+                const blob = await processVideo(job.file, {
+                    ...options,
+                    signal: abortController.signal,
+                }, (progress) => updateJob(job.id, { progress }));
+
+                const url = URL.createObjectURL(blob);
+                urlsRef.current.add(url);
+                const originalName = job.file.name.replace(/\.[^/.]+$/, '');
+                updateJob(job.id, {
+                    status: 'done',
+                    progress: 100,
+                    url,
+                    fileName: `${originalName}_edited_${date}.${extension}`
+                });
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    updateJob(job.id, { status: 'cancelled', progress: 0 });
+                } else {
+                    console.error('Batch export failed:', error);
+                    updateJob(job.id, { status: 'error', progress: 0, error: error.message });
+                }
+            }
+        }
+
+        abortControllerRef.current = null;
+        setIsRunning(false);
+    };
+
+    const handleStop = () => {
+        stopRequestedRef.current = true;
+        abortControllerRef.current?.abort();
+    };
+
+    const pendingCount = jobs.filter(job => job.status !== 'done').length;
+    const isAudioOnly = OUTPUT_FORMATS[settings.format].kind === 'audio';
+
+    return (
+        <div className="batch-queue">
+            <input
+                ref={inputRef}
+                type="file"
+                accept="video/mp4,video/webm,video/quicktime"
+                multiple
+                onChange={handleAddFiles}
+                style={{ display: 'none' }}
+            />
+
+            <div className="batch-queue__header">
+                <h2 className="batch-queue__title">Fila de exportação ({jobs.length})</h2>
+                <button className="new-video-btn" onClick={() => inputRef.current?.click()} disabled={isRunning}>
+                    Adicionar arquivos
+                </button>
+                <button
+                    className="new-video-btn"
+                    onClick={() => onJoin(jobs.map(job => job.file))}
+                    disabled={isRunning || jobs.length < 2}
+                    title="Juntar os arquivos em um único vídeo em vez de exportar cada um"
+                >
+                    Juntar em um vídeo
+                </button>
+                <button className="new-video-btn" onClick={onClose} disabled={isRunning}>
+                    Fechar
+                </button>
+            </div>
+
+            <div className="batch-queue__settings">
+                {!isAudioOnly && (
+                    <div className="export-options__section">
+                        <label className="export-options__label">Proporção</label>
+                        <div className="export-options__buttons">
+                            {ASPECT_RATIOS.map(ratio => (
+                                <button
+                                    key={ratio.label}
+                                    className={`export-option-btn ${settings.ratio === ratio.value ? 'export-option-btn--active' : ''}`}
+                                    onClick={() => updateSettings({ ratio: ratio.value })}
+                                    disabled={isRunning}
+                                >
+                                    {ratio.label}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+                )}
+
+                <div className="export-options__section">
+                    <label className="export-options__label">Velocidade</label>
+                    <div className="export-options__buttons">
+                        {BATCH_SPEEDS.map(speed => (
+                            <button
+                                key={speed}
+                                className={`export-option-btn ${settings.speed === speed ? 'export-option-btn--active' : ''}`}
+                                onClick={() => updateSettings({ speed })}
+                                disabled={isRunning}
+                            >
+                                {speed}x
+                            </button>
+                        ))}
+                    </div>
+                </div>
+
+                <div className="export-options__section">
+                    <label className="export-options__label">Corte</label>
+                    <div className="text-panel__row">
+                        <span className="dimension-label">Início</span>
+                        <input
+                            type="number"
+                            className="dimension-input"
+                            min="0"
+                            value={settings.trimHead}
+                            onChange={(e) => updateSettings({ trimHead: Math.max(0, parseFloat(e.target.value) || 0) })}
+                            disabled={isRunning}
+                        />
+                        <span className="dimension-label">Fim</span>
+                        <input
+                            type="number"
+                            className="dimension-input"
+                            min="0"
+                            value={settings.trimTail}
+                            onChange={(e) => updateSettings({ trimTail: Math.max(0, parseFloat(e.target.value) || 0) })}
+                            disabled={isRunning}
+                        />
+                        <div className="export-options__buttons">
+                            <button
+                                className={`export-option-btn ${settings.trimUnit === 'percent' ? 'export-option-btn--active' : ''}`}
+                                onClick={() => updateSettings({ trimUnit: 'percent' })}
+                                disabled={isRunning}
+                            >
+                                %
+                            </button>
+                            <button
+                                className={`export-option-btn ${settings.trimUnit === 'seconds' ? 'export-option-btn--active' : ''}`}
+                                onClick={() => updateSettings({ trimUnit: 'seconds' })}
+                                disabled={isRunning}
+                            >
+                                s
+                            </button>
+                        </div>
+                    </div>
+                    <p className="export-options__hint">Quanto remover do começo e do fim de cada arquivo.</p>
+                </div>
+
+                <div className="export-options__section">
+                    <label className="export-options__label">Formato</label>
+                    <div className="export-options__buttons">
+                        {Object.entries(OUTPUT_FORMATS).map(([key, outputFormat]) => (
+                            <button
+                                key={key}
+                                className={`export-option-btn ${settings.format === key ? 'export-option-btn--active' : ''}`}
+                                onClick={() => updateSettings({ format: key })}
+                                disabled={isRunning}
+                            >
+                                {outputFormat.label}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+
+                {!isAudioOnly && (
+                    <div className="export-options__section">
+                        <label className="export-options__label">Qualidade</label>
+                        <div className="export-options__buttons">
+                            {QUALITY_OPTIONS.map(option => (
+                                <button
+                                    key={option.value}
+                                    className={`export-option-btn ${settings.quality === option.value ? 'export-option-btn--active' : ''}`}
+                                    onClick={() => updateSettings({ quality: option.value })}
+                                    disabled={isRunning}
+                                >
+                                    {option.label}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+                )}
+            </div>
+
+            <ul className="batch-queue__jobs">
+                {jobs.map(job => (
+                    <li key={job.id} className={`batch-job batch-job--${job.status}`}>
+                        <div className="batch-job__info">
+                            <span className="batch-job__name" title={job.file.name}>{job.file.name}</span>
+                            <span className="batch-job__status">
+                                {STATUS_LABELS[job.status]}
+                                {job.status === 'running' && ` ${job.progress}%`}
+                            </span>
+                        </div>
+                        {(job.status === 'running' || job.status === 'probing') && (
+                            <div className="progress-bar">
+                                <div className="progress-bar__fill" style={{ width: `${job.progress}%` }} />
+                            </div>
+                        )}
+                        {job.error && <p className="batch-job__error">{job.error}</p>}
+                        <div className="batch-job__actions">
+                            {job.url && (
+                                <a className="export-option-btn" href={job.url} download={job.fileName}>
+                                    Baixar
+                                </a>
+                            )}
+                            {job.status !== 'running' && job.status !== 'probing' && (
+                                <button className="export-option-btn" onClick={() => handleRemove(job)} title="Remover da fila">
+                                    ×
+                                </button>
+                            )}
+                        </div>
+                    </li>
+                ))}
+            </ul>
+
+            {isRunning ? (
+                <button className="export-confirm-btn" onClick={handleStop}>
+                    Parar
+                </button>
+            ) : (
+                <button className="export-confirm-btn" onClick={handleStart} disabled={pendingCount === 0}>
+                    Processar {pendingCount} {pendingCount === 1 ? 'arquivo' : 'arquivos'}
+                </button>
+            )}
+        </div>
+    );
+}
@@ -1,11 +1,4 @@
-const ASPECT_RATIOS = [
-    { label: 'Original', value: null },
-    { label: '1:1', value: 1 },
-    { label: '16:9', value: 16 / 9 },
-    { label: '9:16', value: 9 / 16 },
-    { label: '4:3', value: 4 / 3 },
-    { label: '3:4', value: 3 / 4 },
-];
+import { ASPECT_RATIOS, getCenteredCrop } from '../utils/crop';
 
 export function CropControls({
     cropArea,
@@ -28,27 +21,7 @@ export function CropControls({
             });
         } else {
             // Calculate centered crop with aspect ratio
-            const targetRatio = ratio.value;
-            const videoRatio = videoWidth / videoHeight;
-
-            let newWidth, newHeight;
-
-            if (targetRatio > videoRatio) {
-                // Target is wider, fit to width
-                newWidth = videoWidth;
-                newHeight = videoWidth / targetRatio;
-            } else {
-                // Target is taller, fit to height
-                newHeight = videoHeight;
-                newWidth = videoHeight * targetRatio;
-            }
-
-            onCropChange({
-                x: (videoWidth - newWidth) / 2,
-                y: (videoHeight - newHeight) / 2,
-                width: newWidth,
-                height: newHeight
-            });
+            onCropChange(getCenteredCrop(ratio.value, videoWidth, videoHeight));
         }
     };
 
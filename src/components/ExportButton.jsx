@@ -1,23 +1,120 @@
-import { useState } from 'react';
-import { processVideo } from '../utils/ffmpeg';
+import { useState, useRef } from 'react';
+import {
+    processVideo,
+    FFmpegLoadError,
+    OUTPUT_FORMATS,
+    AUDIO_BITRATES,
+    AUDIO_SAMPLE_RATES,
+    supportsMultiThread,
+    getThreadCount,
+    setThreadCount,
+    MAX_THREADS,
+    TARGET_SIZE_FORMATS,
+    getReverseLimitMessage
+} from '../utils/ffmpeg';
+import { getKeepSegments, applySpeedRanges, getSegmentsDuration } from '../utils/segments';
+import { probeMedia } from '../utils/mediaProbe';
+import {
+    RESOLUTION_PRESETS,
+    PLATFORM_PRESETS,
+    MAX_OUTPUT_DIMENSION,
+    getOutputDimensions
+} from '../utils/outputSize';
 
-export function ExportButton({ videoFile, cropArea, speed, trimStart, trimEnd, disabled }) {
+// Loop choices for animated formats (number of plays, 0 = forever)
+const LOOP_OPTIONS = [
+    { label: 'Infinita', value: 0 },
+    { label: '1x', value: 1 },
+    { label: '3x', value: 3 },
+];
+
+// Common attachment limits (MB) offered for the target size mode
+const TARGET_SIZE_OPTIONS = [8, 25];
+const BYTES_PER_MB = 1000 * 1000;
+
+// Thread choices offered for the multi-threaded core
+const THREAD_OPTIONS = [...new Set([1, 2, 4, MAX_THREADS])].filter(n => n <= MAX_THREADS);
+
+export function ExportButton({
+    videoFile,
+    cropArea,
+    speed,
+    trimStart,
+    trimEnd,
+    removedRanges,
+    speedRanges,
+    exportMode,
+    onExportModeChange,
+    canFastTrim,
+    fastSegments,
+    mediaInfo,
+    audio,
+    playback,
+    timelapse,
+    textOverlays,
+    subtitles,
+    watermark,
+    transform,
+    outputSize,
+    onOutputSizeChange,
+    onPlatformPreset,
+    disabled
+}) {
     const [isExporting, setIsExporting] = useState(false);
     const [progress, setProgress] = useState(0);
     const [status, setStatus] = useState('');
     const [showOptions, setShowOptions] = useState(false);
     const [format, setFormat] = useState('mp4');
     const [quality, setQuality] = useState('medium');
+    const [loopCount, setLoopCount] = useState(0);
+    const [audioBitrate, setAudioBitrate] = useState('192k');
+    const [sampleRate, setSampleRate] = useState(null);
+    const [subtitleMode, setSubtitleMode] = useState('burn');
+    // Target size in MB, or null to encode by quality
+    const [targetSizeMb, setTargetSizeMb] = useState(null);
+    const [loadError, setLoadError] = useState(null);
+    const [threads, setThreads] = useState(getThreadCount);
+    const abortControllerRef = useRef(null);
+
+    const isFast = exportMode === 'fast' && canFastTrim;
+    const sourceExtension = videoFile ? videoFile.name.split('.').pop().toLowerCase() : 'mp4';
+    const isAudioOnly = !isFast && OUTPUT_FORMATS[format].kind === 'audio';
+    // Audio formats need an audio track to export
+    const isSilent = (mediaInfo ? !mediaInfo.hasAudio : false) || audio.muted;
+    // A separate subtitle track needs MP4 (mov_text) and forward playback
+    const canSoftSubtitle = format === 'mp4' && playback.mode === 'normal';
+    const effectiveSubtitleMode = canSoftSubtitle ? subtitleMode : 'burn';
+    const supportsTargetSize = TARGET_SIZE_FORMATS.includes(format);
+    const outputDimensions = getOutputDimensions(outputSize, Math.round(cropArea.width), Math.round(cropArea.height));
+    // MP4/WebM reverse/boomerang keep the whole clip in memory
+    const reverseLimit = !isFast && OUTPUT_FORMATS[format].kind === 'video' && playback.mode !== 'normal'
+        ? getReverseLimitMessage({
+            ...(outputDimensions || { width: Math.round(cropArea.width), height: Math.round(cropArea.height) }),
+            fps: mediaInfo?.fps,
+            duration: getSegmentsDuration(getKeepSegments(trimStart, trimEnd, removedRanges)),
+        })
+        : null;
+    const outputLabel = isFast ? `${sourceExtension.toUpperCase()} (rápido)` : OUTPUT_FORMATS[format].label;
 
     const handleExport = async () => {
         if (!videoFile || isExporting) return;
+        if (isFast && !fastSegments) return;
+        if (reverseLimit) return;
 
         setShowOptions(false);
+        setLoadError(null);
         setIsExporting(true);
         setProgress(0);
         setStatus('Inicializando FFmpeg...');
 
+        const abortController = new AbortController();
+        abortControllerRef.current = abortController;
+
         try {
+            // The background probe failed - audio and frame size would only be guesses
+            const exportMediaInfo = mediaInfo || await probeMedia(videoFile);
+            abortController.signal.throwIfAborted();
+
             const blob = await processVideo(videoFile, {
                 cropX: cropArea.x,
                 cropY: cropArea.y,
@@ -26,8 +123,27 @@ export function ExportButton({ videoFile, cropArea, speed, trimStart, trimEnd, d
                 speed,
                 trimStart,
                 trimEnd,
+                segments: isFast
+                    ? fastSegments
+                    : applySpeedRanges(getKeepSegments(trimStart, trimEnd, removedRanges), speedRanges, speed),
+                mode: isFast ? 'fast' : 'reencode',
                 format,
                 quality,
+                loopCount,
+                audioBitrate,
+                sampleRate,
+                mediaInfo: exportMediaInfo,
+                audio,
+                playback,
+                timelapse,
+                textOverlays,
+                subtitles,
+                subtitleMode: effectiveSubtitleMode,
+                watermark,
+                transform,
+                outputSize,
+                targetSize: supportsTargetSize && targetSizeMb ? targetSizeMb * BYTES_PER_MB : null,
+                signal: abortController.signal,
             }, (p) => {
                 setProgress(p);
                 if (p < 30) {
@@ -42,7 +158,7 @@ export function ExportButton({ videoFile, cropArea, speed, trimStart, trimEnd, d
             // Get original filename without extension
             const originalName = videoFile.name.replace(/\.[^/.]+$/, '');
             const timestamp = new Date().toISOString().slice(0, 10);
-            const extension = format === 'gif' ? 'gif' : 'mp4';
+            const extension = isFast ? sourceExtension : OUTPUT_FORMATS[format].extension;
 
             // Download the processed file
             const url = URL.createObjectURL(blob);
@@ -62,11 +178,32 @@ export function ExportButton({ videoFile, cropArea, speed, trimStart, trimEnd, d
             }, 1000);
 
         } catch (error) {
+            if (error.name === 'AbortError') {
+                setStatus('');
+                setIsExporting(false);
+                setProgress(0);
+                return;
+            }
+
             console.error('Export failed:', error);
             setStatus('');
             setIsExporting(false);
             setProgress(0);
-            alert('Erro ao exportar: ' + error.message);
+
+            if (error instanceof FFmpegLoadError) {
+                setLoadError(error);
+            } else {
+                alert('Erro ao exportar: ' + error.message);
+            }
+        } finally {
+            abortControllerRef.current = null;
+        }
+    };
+
+    const handleCancel = () => {
+        if (abortControllerRef.current) {
+            setStatus('Cancelando...');
+            abortControllerRef.current.abort();
         }
     };
 
@@ -97,49 +234,302 @@ export function ExportButton({ videoFile, cropArea, speed, trimStart, trimEnd, d
             {showOptions && !isExporting && (
                 <div className="export-options">
                     <div className="export-options__section">
-                        <label className="export-options__label">Formato</label>
+                        <label className="export-options__label">Modo</label>
                         <div className="export-options__buttons">
                             <button
-                                className={`export-option-btn ${format === 'mp4' ? 'export-option-btn--active' : ''}`}
-                                onClick={() => setFormat('mp4')}
+                                className={`export-option-btn ${!isFast ? 'export-option-btn--active' : ''}`}
+                                onClick={() => onExportModeChange('reencode')}
                             >
-                                MP4
+                                Recodificar
                             </button>
                             <button
-                                className={`export-option-btn ${format === 'gif' ? 'export-option-btn--active' : ''}`}
-                                onClick={() => setFormat('gif')}
+                                className={`export-option-btn ${isFast ? 'export-option-btn--active' : ''}`}
+                                onClick={() => onExportModeChange('fast')}
+                                disabled={!canFastTrim}
+                                title={canFastTrim ? 'Sem recodificar - cortes ajustados aos keyframes' : 'Disponível apenas sem recorte e velocidade 1x'}
                             >
-                                GIF
+                                Rápido
                             </button>
                         </div>
+                        {isFast && (
+                            <p className="export-options__hint">
+                                Sem recodificar: mantém o formato e a qualidade originais. Os cortes são ajustados aos keyframes mais próximos.
+                            </p>
+                        )}
                     </div>
 
-                    <div className="export-options__section">
-                        <label className="export-options__label">Qualidade</label>
-                        <div className="export-options__buttons">
-                            <button
-                                className={`export-option-btn ${quality === 'low' ? 'export-option-btn--active' : ''}`}
-                                onClick={() => setQuality('low')}
-                            >
-                                Baixa
-                            </button>
-                            <button
-                                className={`export-option-btn ${quality === 'medium' ? 'export-option-btn--active' : ''}`}
-                                onClick={() => setQuality('medium')}
-                            >
-                                Média
-                            </button>
-                            <button
-                                className={`export-option-btn ${quality === 'high' ? 'export-option-btn--active' : ''}`}
-                                onClick={() => setQuality('high')}
-                            >
-                                Alta
-                            </button>
+                    {!isFast && (
+                        <>
+                            <div className="export-options__section">
+                                <label className="export-options__label">Formato</label>
+                                <div className="export-options__buttons">
+                                    {Object.entries(OUTPUT_FORMATS).map(([key, outputFormat]) => (
+                                        <button
+                                            key={key}
+                                            className={`export-option-btn ${format === key ? 'export-option-btn--active' : ''}`}
+                                            onClick={() => setFormat(key)}
+                                            disabled={isSilent && outputFormat.kind === 'audio'}
+                                            title={isSilent && outputFormat.kind === 'audio' ? 'Sem áudio para exportar' : undefined}
+                                        >
+                                            {outputFormat.label}
+                                        </button>
+                                    ))}
+                                </div>
+                            </div>
+
+                            {!isAudioOnly && (
+                                <div className="export-options__section">
+                                    <label className="export-options__label">Qualidade</label>
+                                    <div className="export-options__buttons">
+                                        <button
+                                            className={`export-option-btn ${quality === 'low' ? 'export-option-btn--active' : ''}`}
+                                            onClick={() => setQuality('low')}
+                                        >
+                                            Baixa
+                                        </button>
+                                        <button
+                                            className={`export-option-btn ${quality === 'medium' ? 'export-option-btn--active' : ''}`}
+                                            onClick={() => setQuality('medium')}
+                                        >
+                                            Média
+                                        </button>
+                                        <button
+                                            className={`export-option-btn ${quality === 'high' ? 'export-option-btn--active' : ''}`}
+                                            onClick={() => setQuality('high')}
+                                        >
+                                            Alta
+                                        </button>
+                                    </div>
+                                </div>
+                            )}
+
+                            {supportsTargetSize && (
+                                <div className="export-options__section">
+                                    <label className="export-options__label">Tamanho do arquivo</label>
+                                    <div className="export-options__buttons">
+                                        <button
+                                            className={`export-option-btn ${targetSizeMb === null ? 'export-option-btn--active' : ''}`}
+                                            onClick={() => setTargetSizeMb(null)}
+                                        >
+                                            Livre
+                                        </button>
+                                        {TARGET_SIZE_OPTIONS.map((size) => (
+                                            <button
+                                                key={size}
+                                                className={`export-option-btn ${targetSizeMb === size ? 'export-option-btn--active' : ''}`}
+                                                onClick={() => setTargetSizeMb(size)}
+                                            >
+                                                {size} MB
+                                            </button>
+                                        ))}
+                                        <input
+                                            type="number"
+                                            className="dimension-input"
+                                            min="1"
+                                            step="1"
+                                            value={targetSizeMb ?? ''}
+                                            placeholder="MB"
+                                            onChange={(e) => {
+                                                const value = parseFloat(e.target.value);
+                                                setTargetSizeMb(value > 0 ? value : null);
+                                            }}
+                                            title="Tamanho máximo em MB"
+                                        />
+                                    </div>
+                                    {targetSizeMb !== null && (
+                                        <p className="export-options__hint">
+                                            {format === 'gif'
+                                                ? 'Reduz fps e largura até o GIF caber no limite.'
+                                                : 'Codifica em duas passagens com o bitrate calculado pela duração final.'}
+                                        </p>
+                                    )}
+                                </div>
+                            )}
+
+                            {OUTPUT_FORMATS[format].kind === 'video' && (
+                                <div className="export-options__section">
+                                    <label className="export-options__label">Resolução</label>
+                                    <div className="export-options__buttons">
+                                        <button
+                                            className={`export-option-btn ${outputSize.preset === 'source' ? 'export-option-btn--active' : ''}`}
+                                            onClick={() => onOutputSizeChange({ preset: 'source' })}
+                                            title="Tamanho do recorte"
+                                        >
+                                            Original
+                                        </button>
+                                        {RESOLUTION_PRESETS.map((preset) => (
+                                            <button
+                                                key={preset.key}
+                                                className={`export-option-btn ${outputSize.preset === preset.key ? 'export-option-btn--active' : ''}`}
+                                                onClick={() => onOutputSizeChange({ preset: preset.key })}
+                                            >
+                                                {preset.label}
+                                            </button>
+                                        ))}
+                                        <button
+                                            className={`export-option-btn ${outputSize.preset === 'custom' ? 'export-option-btn--active' : ''}`}
+                                            onClick={() => onOutputSizeChange({ preset: 'custom' })}
+                                        >
+                                            Personalizado
+                                        </button>
+                                    </div>
+                                    <div className="export-options__buttons">
+                                        {PLATFORM_PRESETS.map((preset) => (
+                                            <button
+                                                key={preset.key}
+                                                className={`export-option-btn ${outputSize.preset === preset.key ? 'export-option-btn--active' : ''}`}
+                                                onClick={() => onPlatformPreset(preset)}
+                                                title="Também ajusta a proporção do recorte"
+                                            >
+                                                {preset.label} {preset.width}×{preset.height}
+                                            </button>
+                                        ))}
+                                    </div>
+                                    {outputSize.preset === 'custom' && (
+                                        <div className="text-panel__row">
+                                            <input
+                                                type="number"
+                                                className="dimension-input"
+                                                min="0"
+                                                max={MAX_OUTPUT_DIMENSION}
+                                                value={outputSize.width || ''}
+                                                placeholder="auto"
+                                                onChange={(e) => onOutputSizeChange({ width: Math.min(MAX_OUTPUT_DIMENSION, parseInt(e.target.value, 10) || 0) })}
+                                            />
+                                            <span className="dimension-label">×</span>
+                                            <input
+                                                type="number"
+                                                className="dimension-input"
+                                                min="0"
+                                                max={MAX_OUTPUT_DIMENSION}
+                                                value={outputSize.height || ''}
+                                                placeholder="auto"
+                                                onChange={(e) => onOutputSizeChange({ height: Math.min(MAX_OUTPUT_DIMENSION, parseInt(e.target.value, 10) || 0) })}
+                                            />
+                                            <span className="dimension-label">px</span>
+                                        </div>
+                                    )}
+                                    {outputDimensions && (
+                                        <p className="export-options__hint">
+                                            Saída: {outputDimensions.width}×{outputDimensions.height}
+                                            {outputDimensions.fit && ' (com barras se a proporção do recorte for diferente)'}
+                                        </p>
+                                    )}
+                                </div>
+                            )}
+
+                            {isAudioOnly && (
+                                <>
+                                    {format !== 'wav' && (
+                                        <div className="export-options__section">
+                                            <label className="export-options__label">Bitrate</label>
+                                            <div className="export-options__buttons">
+                                                {AUDIO_BITRATES.map((bitrate) => (
+                                                    <button
+                                                        key={bitrate}
+                                                        className={`export-option-btn ${audioBitrate === bitrate ? 'export-option-btn--active' : ''}`}
+                                                        onClick={() => setAudioBitrate(bitrate)}
+                                                    >
+                                                        {bitrate}
+                                                    </button>
+                                                ))}
+                                            </div>
+                                        </div>
+                                    )}
+
+                                    <div className="export-options__section">
+                                        <label className="export-options__label">Taxa de amostragem</label>
+                                        <div className="export-options__buttons">
+                                            <button
+                                                className={`export-option-btn ${sampleRate === null ? 'export-option-btn--active' : ''}`}
+                                                onClick={() => setSampleRate(null)}
+                                            >
+                                                Original
+                                            </button>
+                                            {AUDIO_SAMPLE_RATES.map((rate) => (
+                                                <button
+                                                    key={rate}
+                                                    className={`export-option-btn ${sampleRate === rate ? 'export-option-btn--active' : ''}`}
+                                                    onClick={() => setSampleRate(rate)}
+                                                >
+                                                    {(rate / 1000).toFixed(1)} kHz
+                                                </button>
+                                            ))}
+                                        </div>
+                                    </div>
+                                </>
+                            )}
+
+                            {subtitles && !isAudioOnly && (
+                                <div className="export-options__section">
+                                    <label className="export-options__label">Legendas</label>
+                                    <div className="export-options__buttons">
+                                        <button
+                                            className={`export-option-btn ${effectiveSubtitleMode === 'burn' ? 'export-option-btn--active' : ''}`}
+                                            onClick={() => setSubtitleMode('burn')}
+                                            title="Desenhar as legendas na imagem"
+                                        >
+                                            Gravar no vídeo
+                                        </button>
+                                        <button
+                                            className={`export-option-btn ${effectiveSubtitleMode === 'soft' ? 'export-option-btn--active' : ''}`}
+                                            onClick={() => setSubtitleMode('soft')}
+                                            disabled={!canSoftSubtitle}
+                                            title={canSoftSubtitle ? 'Faixa de legendas que o player pode ligar e desligar' : 'Disponível apenas em MP4 sem reverso'}
+                                        >
+                                            Faixa separada
+                                        </button>
+                                    </div>
+                                </div>
+                            )}
+
+                            {OUTPUT_FORMATS[format].kind === 'animation' && (
+                                <div className="export-options__section">
+                                    <label className="export-options__label">Repetição</label>
+                                    <div className="export-options__buttons">
+                                        {LOOP_OPTIONS.map((option) => (
+                                            <button
+                                                key={option.value}
+                                                className={`export-option-btn ${loopCount === option.value ? 'export-option-btn--active' : ''}`}
+                                                onClick={() => setLoopCount(option.value)}
+                                            >
+                                                {option.label}
+                                            </button>
+                                        ))}
+                                    </div>
+                                </div>
+                            )}
+                        </>
+                    )}
+
+                    {supportsMultiThread() && (
+                        <div className="export-options__section">
+                            <label className="export-options__label">Threads</label>
+                            <div className="export-options__buttons">
+                                {THREAD_OPTIONS.map((count) => (
+                                    <button
+                                        key={count}
+                                        className={`export-option-btn ${threads === count ? 'export-option-btn--active' : ''}`}
+                                        onClick={() => {
+                                            setThreads(count);
+                                            setThreadCount(count);
+                                        }}
+                                    >
+                                        {count}
+                                    </button>
+                                ))}
+                            </div>
                         </div>
-                    </div>
+                    )}
+
+                    {reverseLimit && <p className="export-options__hint">{reverseLimit}</p>}
 
-                    <button className="export-confirm-btn" onClick={handleExport}>
-                        Exportar {format.toUpperCase()}
+                    <button
+                        className="export-confirm-btn"
+                        onClick={handleExport}
+                        disabled={(isFast && !fastSegments) || !!reverseLimit}
+                    >
+                        {isFast && !fastSegments ? 'Analisando keyframes...' : `Exportar ${outputLabel}`}
                     </button>
                 </div>
             )}
@@ -151,7 +541,7 @@ export function ExportButton({ videoFile, cropArea, speed, trimStart, trimEnd, d
                             <div className="loading-spinner" />
                         </div>
                         <h3 className="modal__title">
-                            Exportando {format.toUpperCase()}
+                            Exportando {outputLabel}
                         </h3>
                         <div className="progress-bar">
                             <div
@@ -162,6 +552,48 @@ export function ExportButton({ videoFile, cropArea, speed, trimStart, trimEnd, d
                         <p className="progress-text">
                             {progress}% • {status}
                         </p>
+                        <div className="modal__actions modal__actions--spaced">
+                            <button
+                                className="modal__btn"
+                                onClick={handleCancel}
+                                disabled={status === 'Cancelando...' || status === 'Concluído!'}
+                            >
+                                Cancelar
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {loadError && (
+                <div className="modal-overlay">
+                    <div className="modal">
+                        <div className="modal__icon modal__icon--error">
+                            <svg width="32" height="32" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                <circle cx="12" cy="12" r="10" />
+                                <line x1="12" y1="8" x2="12" y2="12" />
+                                <line x1="12" y1="16" x2="12.01" y2="16" />
+                            </svg>
+                        </div>
+                        <h3 className="modal__title">{loadError.message}</h3>
+                        <p className="modal__text">
+                            O mecanismo de exportação não pôde ser baixado ou iniciado.
+                            Verifique sua conexão ou o endereço configurado em VITE_FFMPEG_CORE_URL.
+                            {loadError.cause?.message && (
+                                <>
+                                    <br />
+                                    <code className="modal__code">{loadError.cause.message}</code>
+                                </>
+                            )}
+                        </p>
+                        <div className="modal__actions">
+                            <button className="modal__btn" onClick={() => setLoadError(null)}>
+                                Fechar
+                            </button>
+                            <button className="modal__btn modal__btn--primary" onClick={handleExport}>
+                                Tentar novamente
+                            </button>
+                        </div>
                     </div>
                 </div>
             )}
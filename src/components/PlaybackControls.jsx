@@ -0,0 +1,39 @@
+const PLAYBACK_MODES = [
+    { value: 'normal', label: 'Normal', title: 'Reproduzir normalmente' },
+    { value: 'reverse', label: 'Reverso', title: 'Reproduzir de trás para frente' },
+    { value: 'boomerang', label: 'Boomerang', title: 'Reproduzir para frente e depois para trás' },
+];
+
+export function PlaybackControls({ playback, onPlaybackChange, reverseLimit = null }) {
+    return (
+        <div className="playback-controls">
+            <div className="aspect-buttons">
+                {PLAYBACK_MODES.map(mode => {
+                    // Too long a clip can't be reversed in memory (see getReverseLimitMessage)
+                    const isBlocked = mode.value !== 'normal' && !!reverseLimit && playback.mode !== mode.value;
+                    return (
+                        <button
+                            key={mode.value}
+                            className={`aspect-btn ${playback.mode === mode.value ? 'aspect-btn--active' : ''}`}
+                            onClick={() => onPlaybackChange({ mode: mode.value })}
+                            disabled={isBlocked}
+                            title={isBlocked ? reverseLimit : mode.title}
+                        >
+                            {mode.label}
+                        </button>
+                    );
+                })}
+            </div>
+            {playback.mode !== 'normal' && (
+                <label className="toggle-option" title="Exportar o vídeo sem o áudio invertido">
+                    <input
+                        type="checkbox"
+                        checked={playback.dropAudio}
+                        onChange={(e) => onPlaybackChange({ dropAudio: e.target.checked })}
+                    />
+                    Sem áudio
+                </label>
+            )}
+        </div>
+    );
+}
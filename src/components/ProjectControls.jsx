@@ -0,0 +1,166 @@
+import { useState, useRef } from 'react';
+import { createProject, parseProject, checkMediaMatch } from '../utils/project';
+
+export function ProjectControls({ videoFile, edit, onProjectOpen }) {
+    const [pendingProject, setPendingProject] = useState(null);
+    const [status, setStatus] = useState('');
+    const projectInputRef = useRef(null);
+    const mediaInputRef = useRef(null);
+
+    const handleSave = async () => {
+        if (!videoFile || status) return;
+
+        setStatus('Salvando projeto...');
+        try {
+            const project = await createProject(videoFile, edit);
+            const blob = new Blob([JSON.stringify(project, null, 2)], { type: 'application/json' });
+
+            const originalName = videoFile.name.replace(/\.[^/.]+$/, '');
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `${originalName}.projeto.json`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('Project save failed:', error);
+            alert('Erro ao salvar projeto: ' + error.message);
+        } finally {
+            setStatus('');
+        }
+    };
+
+    // Relink the media and hand the restored edit to App
+    const openWithMedia = async (file, project) => {
+        setStatus('Verificando arquivo...');
+        try {
+            const mismatches = await checkMediaMatch(file, project.media);
+            if (mismatches.length > 0) {
+                const proceed = window.confirm(
+                    'O arquivo selecionado não corresponde ao projeto:\n- ' +
+                    mismatches.join('\n- ') +
+                    '\n\nAbrir mesmo assim?'
+                );
+                if (!proceed) return false;
+            }
+
+            onProjectOpen(file, project.edit);
+            return true;
+        } catch (error) {
+            console.error('Project open failed:', error);
+            alert('Erro ao abrir projeto: ' + error.message);
+            return false;
+        } finally {
+            setStatus('');
+        }
+    };
+
+    const handleProjectFileChange = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        let project;
+        try {
+            project = parseProject(await file.text());
+        } catch (error) {
+            alert('Erro ao abrir projeto: ' + error.message);
+            return;
+        }
+
+        // Reuse the loaded video when it's the same file, otherwise ask for it
+        if (videoFile && videoFile.name === project.media.name && videoFile.size === project.media.size) {
+            if (await openWithMedia(videoFile, project)) return;
+        }
+        setPendingProject(project);
+    };
+
+    const handleMediaFileChange = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file || !pendingProject) return;
+
+        if (await openWithMedia(file, pendingProject)) {
+            setPendingProject(null);
+        }
+    };
+
+    return (
+        <>
+            <input
+                ref={projectInputRef}
+                type="file"
+                accept=".json,application/json"
+                onChange={handleProjectFileChange}
+                style={{ display: 'none' }}
+            />
+            <input
+                ref={mediaInputRef}
+                type="file"
+                accept="video/mp4,video/webm,video/quicktime"
+                onChange={handleMediaFileChange}
+                style={{ display: 'none' }}
+            />
+
+            <div className="project-buttons">
+                <button
+                    className="new-video-btn"
+                    onClick={() => projectInputRef.current?.click()}
+                    disabled={!!status}
+                    title="Abrir projeto"
+                >
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                        <path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z" />
+                    </svg>
+                    Abrir
+                </button>
+                {videoFile && (
+                    <button
+                        className="new-video-btn"
+                        onClick={handleSave}
+                        disabled={!!status}
+                        title="Salvar projeto"
+                    >
+                        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                            <path d="M19 21H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11l5 5v11a2 2 0 0 1-2 2z" />
+                            <polyline points="17 21 17 13 7 13 7 21" />
+                            <polyline points="7 3 7 8 15 8" />
+                        </svg>
+                        {status || 'Salvar projeto'}
+                    </button>
+                )}
+            </div>
+
+            {pendingProject && (
+                <div className="modal-overlay">
+                    <div className="modal">
+                        <h3 className="modal__title">Vincular mídia do projeto</h3>
+                        <p className="modal__text">
+                            Selecione o arquivo <strong>{pendingProject.media.name}</strong>
+                            {' '}({(pendingProject.media.size / (1024 * 1024)).toFixed(1)} MB)
+                            para continuar a edição.
+                        </p>
+                        <div className="modal__actions">
+                            <button
+                                className="modal__btn"
+                                onClick={() => setPendingProject(null)}
+                                disabled={!!status}
+                            >
+                                Cancelar
+                            </button>
+                            <button
+                                className="modal__btn modal__btn--primary"
+                                onClick={() => mediaInputRef.current?.click()}
+                                disabled={!!status}
+                            >
+                                {status || 'Selecionar arquivo'}
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+        </>
+    );
+}
@@ -0,0 +1,280 @@
+import { useState, useRef, useEffect } from 'react';
+import { processSequence, OUTPUT_FORMATS } from '../utils/ffmpeg';
+import { probeMedia, readElementDuration } from '../utils/mediaProbe';
+import { formatTime } from '../utils/thumbnails';
+import {
+    SEQUENCE_FORMATS,
+    createPendingClip,
+    applyClipProbe,
+    clampClipTrim,
+    moveClip,
+    getSequenceDuration,
+    getSequenceFormat
+} from '../utils/sequence';
+
+const QUALITY_OPTIONS = [
+    { value: 'low', label: 'Baixa' },
+    { value: 'medium', label: 'Média' },
+    { value: 'high', label: 'Alta' },
+];
+
+export function SequenceEditor({ initialClips, onClose }) {
+    const [clips, setClips] = useState(initialClips);
+    const [format, setFormat] = useState('mp4');
+    const [quality, setQuality] = useState('medium');
+    const [dragIndex, setDragIndex] = useState(null);
+    const [isExporting, setIsExporting] = useState(false);
+    const [progress, setProgress] = useState(0);
+    const [error, setError] = useState(null);
+    const [result, setResult] = useState(null);
+    const inputRef = useRef(null);
+    const abortControllerRef = useRef(null);
+    // Clips already sent to the probe, and the chain that runs the probes one
+    // at a time (they share the FFmpeg instance and its file names)
+    const probedIdsRef = useRef(new Set());
+    const probeQueueRef = useRef(Promise.resolve());
+
+    useEffect(() => {
+        for (const clip of clips) {
+            if (clip.status !== 'probing' || probedIdsRef.current.has(clip.id)) continue;
+            probedIdsRef.current.add(clip.id);
+
+            probeQueueRef.current = probeQueueRef.current.then(async () => {
+                try {
+                    const media = await probeMedia(clip.file);
+                    // Screen recordings added here have no duration in their header
+                    const duration = clip.duration || media.duration || await readElementDuration(clip.file);
+                    setClips(prev => prev.map(other => (
+                        other.id === clip.id ? applyClipProbe(other, { ...media, duration }) : other
+                    )));
+                } catch (probeError) {
+                    setClips(prev => prev.map(other => (
+                        other.id === clip.id ? { ...other, status: 'error', error: probeError.message } : other
+                    )));
+                }
+            });
+        }
+    }, [clips]);
+
+    useEffect(() => {
+        return () => abortControllerRef.current?.abort();
+    }, []);
+
+    useEffect(() => {
+        if (!result) return;
+        return () => URL.revokeObjectURL(result.url);
+    }, [result]);
+
+    const handleAddFiles = (e) => {
+        const files = Array.from(e.target.files);
+        e.target.value = '';
+        setClips(prev => [...prev, ...files.map(file => createPendingClip(file))]);
+    };
+
+    const handleTrimChange = (id, patch) => {
+        setClips(prev => prev.map(clip => (clip.id === id ? { ...clip, ...clampClipTrim(clip, patch) } : clip)));
+    };
+
+    const handleRemove = (id) => {
+        setClips(prev => prev.filter(clip => clip.id !== id));
+    };
+
+    const handleDrop = (index) => {
+        if (dragIndex !== null && dragIndex !== index) {
+            setClips(prev => moveClip(prev, dragIndex, index));
+        }
+        setDragIndex(null);
+    };
+
+    const readyClips = clips.filter(clip => clip.status === 'ready');
+    const isProbing = clips.some(clip => clip.status === 'probing');
+    const canExport = readyClips.length >= 2 && !isProbing && !isExporting;
+    const sequenceFormat = readyClips.length > 0 ? getSequenceFormat(readyClips) : null;
+
+    const handleExport = async () => {
+        const abortController = new AbortController();
+        abortControllerRef.current = abortController;
+        setIsExporting(true);
+        setProgress(0);
+        setError(null);
+        setResult(null);
+
+        try {
+            const blob = await processSequence(readyClips, {
+                ...sequenceFormat,
+                format,
+                quality,
+                signal: abortController.signal,
+            }, setProgress);
+
+            const date = new Date().toISOString().slice(0, 10);
+            setResult({
+                url: URL.createObjectURL(blob),
+                fileName: `sequencia_${date}.${OUTPUT_FORMATS[format].extension}`
+            });
+        } catch (exportError) {
+            if (exportError.name !== 'AbortError') {
+                console.error('Sequence export failed:', exportError);
+                setError(exportError.message);
+            }
+        } finally {
+            abortControllerRef.current = null;
+            setIsExporting(false);
+        }
+    };
+
+    return (
+        <div className="batch-queue">
+            <input
+                ref={inputRef}
+                type="file"
+                accept="video/mp4,video/webm,video/quicktime"
+                multiple
+                onChange={handleAddFiles}
+                style={{ display: 'none' }}
+            />
+
+            <div className="batch-queue__header">
+                <h2 className="batch-queue__title">
+                    Sequência ({readyClips.length} {readyClips.length === 1 ? 'clipe' : 'clipes'}, {formatTime(getSequenceDuration(readyClips))})
+                </h2>
+                <button className="new-video-btn" onClick={() => inputRef.current?.click()} disabled={isExporting}>
+                    Adicionar clipes
+                </button>
+                <button className="new-video-btn" onClick={onClose} disabled={isExporting}>
+                    Fechar
+                </button>
+            </div>
+
+            <ul className="batch-queue__jobs">
+                {clips.map((clip, index) => (
+                    <li
+                        key={clip.id}
+                        className={`batch-job sequence-clip ${dragIndex === index ? 'sequence-clip--dragging' : ''}`}
+                        draggable={!isExporting}
+                        onDragStart={() => setDragIndex(index)}
+                        onDragOver={(e) => e.preventDefault()}
+                        onDrop={() => handleDrop(index)}
+                        onDragEnd={() => setDragIndex(null)}
+                    >
+                        <div className="batch-job__info">
+                            <span className="sequence-clip__handle" title="Arraste para reordenar">⋮⋮</span>
+                            <span className="batch-job__name" title={clip.file.name}>
+                                {index + 1}. {clip.file.name}
+                            </span>
+                            <span className="batch-job__status">
+                                {clip.status === 'probing' && 'Analisando...'}
+                                {clip.status === 'ready' && `${clip.width}x${clip.height}${clip.fps ? ` · ${Math.round(clip.fps)} fps` : ''}${clip.hasAudio ? '' : ' · sem áudio'}`}
+                                {clip.status === 'error' && 'Erro'}
+                            </span>
+                        </div>
+                        {clip.error && <p className="batch-job__error">{clip.error}</p>}
+                        {clip.status === 'ready' && (
+                            <div className="text-panel__row">
+                                <span className="dimension-label">Início</span>
+                                <input
+                                    type="number"
+                                    className="dimension-input"
+                                    min="0"
+                                    step="0.1"
+                                    value={clip.trimStart.toFixed(1)}
+                                    onChange={(e) => handleTrimChange(clip.id, { trimStart: parseFloat(e.target.value) || 0 })}
+                                    disabled={isExporting}
+                                />
+                                <span className="dimension-label">Fim</span>
+                                <input
+                                    type="number"
+                                    className="dimension-input"
+                                    min="0"
+                                    step="0.1"
+                                    value={clip.trimEnd.toFixed(1)}
+                                    onChange={(e) => handleTrimChange(clip.id, { trimEnd: parseFloat(e.target.value) || 0 })}
+                                    disabled={isExporting}
+                                />
+                                <span className="dimension-label">
+                                    {formatTime(clip.trimEnd - clip.trimStart)} de {formatTime(clip.duration)}
+                                </span>
+                            </div>
+                        )}
+                        <div className="batch-job__actions">
+                            <button
+                                className="export-option-btn"
+                                onClick={() => handleRemove(clip.id)}
+                                disabled={isExporting || clip.status === 'probing'}
+                                title="Remover da sequência"
+                            >
+                                ×
+                            </button>
+                        </div>
+                    </li>
+                ))}
+            </ul>
+
+            <div className="batch-queue__settings">
+                <div className="export-options__section">
+                    <label className="export-options__label">Formato</label>
+                    <div className="export-options__buttons">
+                        {SEQUENCE_FORMATS.map(key => (
+                            <button
+                                key={key}
+                                className={`export-option-btn ${format === key ? 'export-option-btn--active' : ''}`}
+                                onClick={() => setFormat(key)}
+                                disabled={isExporting}
+                            >
+                                {OUTPUT_FORMATS[key].label}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+
+                <div className="export-options__section">
+                    <label className="export-options__label">Qualidade</label>
+                    <div className="export-options__buttons">
+                        {QUALITY_OPTIONS.map(option => (
+                            <button
+                                key={option.value}
+                                className={`export-option-btn ${quality === option.value ? 'export-option-btn--active' : ''}`}
+                                onClick={() => setQuality(option.value)}
+                                disabled={isExporting}
+                            >
+                                {option.label}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+            </div>
+
+            {sequenceFormat && (
+                <p className="export-options__hint">
+                    Saída em {sequenceFormat.width}x{sequenceFormat.height}, {sequenceFormat.fps} fps e {sequenceFormat.sampleRate / 1000} kHz -
+                    clipes com outra proporção recebem barras pretas.
+                </p>
+            )}
+
+            {isExporting && (
+                <div>
+                    <div className="progress-bar">
+                        <div className="progress-bar__fill" style={{ width: `${progress}%` }} />
+                    </div>
+                    <p className="progress-text">{progress}%</p>
+                </div>
+            )}
+            {error && <p className="batch-job__error">{error}</p>}
+            {result && (
+                <a className="export-option-btn" href={result.url} download={result.fileName}>
+                    Baixar {result.fileName}
+                </a>
+            )}
+
+            {isExporting ? (
+                <button className="export-confirm-btn" onClick={() => abortControllerRef.current?.abort()}>
+                    Cancelar
+                </button>
+            ) : (
+                <button className="export-confirm-btn" onClick={handleExport} disabled={!canExport}>
+                    Juntar {readyClips.length} clipes
+                </button>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,49 @@
+import { useEffect } from 'react';
+
+const SHORTCUTS = [
+    { keys: ['Espaço'], description: 'Reproduzir / pausar' },
+    { keys: ['J', 'K', 'L'], description: 'Voltar, pausar, avançar - repita J ou L para acelerar (até 8x)' },
+    { keys: ['I', 'O'], description: 'Marcar início / fim do corte no cursor' },
+    { keys: ['←', '→'], description: 'Quadro anterior / próximo' },
+    { keys: ['Shift', '←', '→'], description: 'Voltar / avançar 1 segundo' },
+    { keys: ['Home', 'End'], description: 'Ir para o início / fim do corte' },
+    { keys: ['Ctrl', 'Z'], description: 'Desfazer (Ctrl+Shift+Z ou Ctrl+Y refaz)' },
+    { keys: ['Alt'], description: 'Mantém a proporção ao redimensionar o recorte' },
+    { keys: ['?'], description: 'Mostrar / esconder esta lista' },
+];
+
+export function ShortcutHelp({ onClose }) {
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') {
+                onClose();
+            }
+        };
+
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [onClose]);
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal shortcut-help" onClick={(e) => e.stopPropagation()}>
+                <h3 className="modal__title">Atalhos de teclado</h3>
+                <ul className="shortcut-help__list">
+                    {SHORTCUTS.map(shortcut => (
+                        <li key={shortcut.description} className="shortcut-help__item">
+                            <span className="shortcut-help__keys">
+                                {shortcut.keys.map(key => <kbd key={key}>{key}</kbd>)}
+                            </span>
+                            <span className="shortcut-help__description">{shortcut.description}</span>
+                        </li>
+                    ))}
+                </ul>
+                <div className="modal__actions">
+                    <button className="modal__btn modal__btn--primary" onClick={onClose}>
+                        Fechar
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
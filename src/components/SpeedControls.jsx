@@ -1,23 +1,65 @@
-export function SpeedControls({ speed, onSpeedChange }) {
+import { formatTime } from '../utils/thumbnails';
+import { TIMELAPSE_MIN_SPEED } from '../utils/ffmpeg';
+
+const TIMELAPSE_MAX_SPEED = 100;
+
+export function SpeedControls({ speed, onSpeedChange, timelapse, onTimelapseChange, outputDuration }) {
     const handleSliderChange = (e) => {
         onSpeedChange(parseFloat(e.target.value));
     };
 
+    const handleTimelapseChange = (e) => {
+        onTimelapseChange({ speed: parseInt(e.target.value, 10) });
+    };
+
     return (
         <div className="speed-controls">
             <span className="speed-label">Velocidade</span>
-            <div className="speed-slider-container">
-                <input
-                    type="range"
-                    className="speed-slider"
-                    min="0.25"
-                    max="4"
-                    step="0.25"
-                    value={speed}
-                    onChange={handleSliderChange}
-                />
-                <span className="speed-value">{speed}x</span>
-            </div>
+            {timelapse.enabled ? (
+                <div className="speed-slider-container">
+                    <input
+                        type="range"
+                        className="speed-slider"
+                        min={TIMELAPSE_MIN_SPEED}
+                        max={TIMELAPSE_MAX_SPEED}
+                        step="1"
+                        value={timelapse.speed}
+                        onChange={handleTimelapseChange}
+                    />
+                    <span className="speed-value">{timelapse.speed}x</span>
+                    <label className="toggle-option" title="Manter o áudio acelerado no timelapse">
+                        <input
+                            type="checkbox"
+                            checked={timelapse.keepAudio}
+                            onChange={(e) => onTimelapseChange({ keepAudio: e.target.checked })}
+                        />
+                        Áudio
+                    </label>
+                </div>
+            ) : (
+                <div className="speed-slider-container">
+                    <input
+                        type="range"
+                        className="speed-slider"
+                        min="0.25"
+                        max="4"
+                        step="0.25"
+                        value={speed}
+                        onChange={handleSliderChange}
+                    />
+                    <span className="speed-value">{speed}x</span>
+                </div>
+            )}
+            <button
+                className={`aspect-btn ${timelapse.enabled ? 'aspect-btn--active' : ''}`}
+                onClick={() => onTimelapseChange({ enabled: !timelapse.enabled })}
+                title={`Timelapse (${TIMELAPSE_MIN_SPEED}x a ${TIMELAPSE_MAX_SPEED}x)`}
+            >
+                Timelapse
+            </button>
+            <span className="speed-duration" title="Duração do vídeo exportado">
+                {formatTime(outputDuration)}
+            </span>
         </div>
     );
 }
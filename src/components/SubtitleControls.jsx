@@ -0,0 +1,54 @@
+import { useRef } from 'react';
+import { parseSubtitles } from '../utils/subtitles';
+
+export function SubtitleControls({ subtitles, onSubtitlesChange }) {
+    const inputRef = useRef(null);
+
+    const handleFileChange = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        try {
+            const cues = parseSubtitles(await file.text());
+            onSubtitlesChange({ name: file.name, cues });
+        } catch (error) {
+            alert('Erro ao abrir legendas: ' + error.message);
+        }
+    };
+
+    return (
+        <div className="subtitle-controls">
+            <input
+                ref={inputRef}
+                type="file"
+                accept=".srt,.vtt,text/vtt,application/x-subrip"
+                onChange={handleFileChange}
+                style={{ display: 'none' }}
+            />
+
+            <button
+                className="cut-btn"
+                onClick={() => inputRef.current?.click()}
+                title={subtitles ? `${subtitles.name} - ${subtitles.cues.length} legendas (clique para trocar)` : 'Carregar legendas (.srt ou .vtt)'}
+            >
+                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                    <rect x="2" y="5" width="20" height="14" rx="2" />
+                    <line x1="6" y1="14" x2="12" y2="14" />
+                    <line x1="14" y1="14" x2="18" y2="14" />
+                </svg>
+                {subtitles ? `Legendas (${subtitles.cues.length})` : 'Legendas'}
+            </button>
+
+            {subtitles && (
+                <button
+                    className="subtitle-controls__remove"
+                    onClick={() => onSubtitlesChange(null)}
+                    title="Remover legendas"
+                >
+                    ×
+                </button>
+            )}
+        </div>
+    );
+}
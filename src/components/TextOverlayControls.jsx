@@ -0,0 +1,139 @@
+import { useState } from 'react';
+import { formatTime } from '../utils/thumbnails';
+
+export function TextOverlayControls({
+    overlays,
+    selectedId,
+    currentTime,
+    onSelect,
+    onAdd,
+    onChange,
+    onRemove
+}) {
+    const [showPanel, setShowPanel] = useState(false);
+    const selected = overlays.find(overlay => overlay.id === selectedId) || null;
+
+    const handleNumberChange = (key) => (e) => {
+        const value = parseFloat(e.target.value);
+        if (!isNaN(value)) {
+            onChange(selected.id, { [key]: value });
+        }
+    };
+
+    return (
+        <div className="text-controls">
+            <button className="cut-btn" onClick={() => setShowPanel(!showPanel)} title="Textos sobre o vídeo">
+                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                    <polyline points="4 7 4 4 20 4 20 7" />
+                    <line x1="9" y1="20" x2="15" y2="20" />
+                    <line x1="12" y1="4" x2="12" y2="20" />
+                </svg>
+                Texto{overlays.length > 0 && ` (${overlays.length})`}
+            </button>
+
+            {showPanel && (
+                <div className="text-panel">
+                    <div className="text-panel__list">
+                        {overlays.map((overlay, index) => (
+                            <button
+                                key={overlay.id}
+                                className={`export-option-btn ${overlay.id === selectedId ? 'export-option-btn--active' : ''}`}
+                                onClick={() => onSelect(overlay.id)}
+                                title={overlay.text}
+                            >
+                                {index + 1}. {overlay.text.slice(0, 12) || '(vazio)'}
+                            </button>
+                        ))}
+                        <button className="export-option-btn" onClick={onAdd} title="Adicionar texto no cursor">
+                            + Adicionar
+                        </button>
+                    </div>
+
+                    {selected && (
+                        <>
+                            <textarea
+                                className="text-panel__input"
+                                value={selected.text}
+                                rows={2}
+                                onChange={(e) => onChange(selected.id, { text: e.target.value })}
+                            />
+
+                            <div className="text-panel__row">
+                                <label className="export-options__label">Tamanho</label>
+                                <input
+                                    type="number"
+                                    className="dimension-input"
+                                    min="8"
+                                    max="400"
+                                    value={selected.fontSize}
+                                    onChange={handleNumberChange('fontSize')}
+                                />
+                                <label className="export-options__label">Cor</label>
+                                <input
+                                    type="color"
+                                    className="text-panel__color"
+                                    value={selected.color}
+                                    onChange={(e) => onChange(selected.id, { color: e.target.value })}
+                                />
+                            </div>
+
+                            <div className="text-panel__row">
+                                <label className="toggle-option">
+                                    <input
+                                        type="checkbox"
+                                        checked={selected.box}
+                                        onChange={(e) => onChange(selected.id, { box: e.target.checked })}
+                                    />
+                                    Fundo
+                                </label>
+                                {selected.box && (
+                                    <>
+                                        <input
+                                            type="color"
+                                            className="text-panel__color"
+                                            value={selected.boxColor}
+                                            onChange={(e) => onChange(selected.id, { boxColor: e.target.value })}
+                                        />
+                                        <input
+                                            type="range"
+                                            className="speed-slider"
+                                            min="0"
+                                            max="1"
+                                            step="0.05"
+                                            value={selected.boxOpacity}
+                                            onChange={handleNumberChange('boxOpacity')}
+                                            title="Opacidade do fundo"
+                                        />
+                                    </>
+                                )}
+                            </div>
+
+                            <div className="text-panel__row">
+                                <label className="export-options__label">Início</label>
+                                <button
+                                    className="export-option-btn"
+                                    onClick={() => onChange(selected.id, { start: Math.min(currentTime, selected.end) })}
+                                    title="Usar a posição do cursor"
+                                >
+                                    {formatTime(selected.start)}
+                                </button>
+                                <label className="export-options__label">Fim</label>
+                                <button
+                                    className="export-option-btn"
+                                    onClick={() => onChange(selected.id, { end: Math.max(currentTime, selected.start) })}
+                                    title="Usar a posição do cursor"
+                                >
+                                    {formatTime(selected.end)}
+                                </button>
+                            </div>
+
+                            <button className="modal__btn" onClick={() => onRemove(selected.id)}>
+                                Remover texto
+                            </button>
+                        </>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
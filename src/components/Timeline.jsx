@@ -1,5 +1,21 @@
 import { useState, useRef, useEffect, useCallback } from 'react';
 import { formatTime } from '../utils/thumbnails';
+import { MIN_RANGE_DURATION } from '../utils/segments';
+import { Waveform } from './Waveform';
+
+// Above this the keyframe ticks would just paint the track solid
+const MAX_KEYFRAME_TICKS = 400;
+
+// Speeds offered for a speed range
+const RANGE_SPEED_OPTIONS = [0.25, 0.5, 0.75, 1.5, 2, 3, 4];
+
+// Move one edge of a range while keeping it at least MIN_RANGE_DURATION long
+function resizeRange(range, edge, time, duration) {
+    if (edge === 'start') {
+        return { ...range, start: Math.max(0, Math.min(range.end - MIN_RANGE_DURATION, time)) };
+    }
+    return { ...range, end: Math.max(range.start + MIN_RANGE_DURATION, Math.min(duration, time)) };
+}
 
 export function Timeline({
     duration,
@@ -7,11 +23,20 @@ export function Timeline({
     trimStart,
     trimEnd,
     thumbnails,
+    waveform,
+    removedRanges,
+    speedRanges,
+    outputDuration,
+    keyframes,
+    snappedSegments,
     onTrimChange,
+    onRemovedRangesChange,
+    onSpeedRangesChange,
     onSeek
 }) {
     const trackRef = useRef(null);
     const [isDragging, setIsDragging] = useState(null);
+    const [activeRangeId, setActiveRangeId] = useState(null);
     const [hoverTime, setHoverTime] = useState(null);
     const [hoverX, setHoverX] = useState(0);
 
@@ -36,10 +61,25 @@ export function Timeline({
         onSeek(Math.max(0, Math.min(duration, time)));
     };
 
-    const handleMouseDown = (e, type) => {
+    const handleMouseDown = (e, type, rangeId = null) => {
         e.stopPropagation();
         e.preventDefault();
         setIsDragging(type);
+        setActiveRangeId(rangeId);
+    };
+
+    const handleRemoveRange = (e, rangeId) => {
+        e.stopPropagation();
+        onRemovedRangesChange(removedRanges.filter(range => range.id !== rangeId));
+    };
+
+    const handleRemoveSpeedRange = (e, rangeId) => {
+        e.stopPropagation();
+        onSpeedRangesChange(speedRanges.filter(range => range.id !== rangeId));
+    };
+
+    const handleRangeSpeedChange = (rangeId, speed) => {
+        onSpeedRangesChange(speedRanges.map(range => (range.id === rangeId ? { ...range, speed } : range)));
     };
 
     const handleMouseMove = useCallback((e) => {
@@ -68,11 +108,22 @@ export function Timeline({
             onTrimChange(trimStart, newEnd);
         } else if (isDragging === 'playhead') {
             onSeek(Math.max(0, Math.min(duration, time)));
+        } else if (isDragging === 'range-start' || isDragging === 'range-end') {
+            const edge = isDragging === 'range-start' ? 'start' : 'end';
+            onRemovedRangesChange(removedRanges.map(range => (
+                range.id === activeRangeId ? resizeRange(range, edge, time, duration) : range
+            )));
+        } else if (isDragging === 'speed-start' || isDragging === 'speed-end') {
+            const edge = isDragging === 'speed-start' ? 'start' : 'end';
+            onSpeedRangesChange(speedRanges.map(range => (
+                range.id === activeRangeId ? resizeRange(range, edge, time, duration) : range
+            )));
         }
-    }, [isDragging, trimStart, trimEnd, duration, getTimeFromPosition, onTrimChange, onSeek]);
+    }, [isDragging, activeRangeId, trimStart, trimEnd, duration, removedRanges, speedRanges, getTimeFromPosition, onTrimChange, onRemovedRangesChange, onSpeedRangesChange, onSeek]);
 
     const handleMouseUp = useCallback(() => {
         setIsDragging(null);
+        setActiveRangeId(null);
     }, []);
 
     const handleMouseLeave = () => {
@@ -95,7 +146,6 @@ export function Timeline({
     const startPercent = getPositionFromTime(trimStart);
     const endPercent = getPositionFromTime(trimEnd);
     const playheadPercent = getPositionFromTime(currentTime);
-    const trimDuration = trimEnd - trimStart;
 
     return (
         <div className="timeline">
@@ -106,7 +156,7 @@ export function Timeline({
             </div>
 
             <div
-                className="timeline__track-container"
+                className={`timeline__track-container ${waveform ? 'timeline__track-container--with-waveform' : ''}`}
                 ref={trackRef}
                 onClick={handleTrackClick}
                 onMouseMove={handleMouseMove}
@@ -129,6 +179,9 @@ export function Timeline({
                     ))}
                 </div>
 
+                {/* Audio waveform lane */}
+                {waveform && <Waveform peaks={waveform} />}
+
                 {/* Dim areas outside selection */}
                 <div
                     className="timeline__dim-area"
@@ -160,7 +213,7 @@ export function Timeline({
 
                     {/* Duration indicator */}
                     <div className="timeline__duration-indicator">
-                        {formatTime(trimDuration)}
+                        {formatTime(outputDuration)}
                     </div>
 
                     {/* End handle */}
@@ -175,6 +228,100 @@ export function Timeline({
                     </div>
                 </div>
 
+                {/* Removed ranges */}
+                {removedRanges.map((range) => (
+                    <div
+                        key={range.id}
+                        className="timeline__removed-range"
+                        style={{
+                            left: `${getPositionFromTime(range.start)}%`,
+                            width: `${getPositionFromTime(range.end) - getPositionFromTime(range.start)}%`
+                        }}
+                    >
+                        <div
+                            className="timeline__removed-handle timeline__removed-handle--start"
+                            onMouseDown={(e) => handleMouseDown(e, 'range-start', range.id)}
+                        />
+                        <button
+                            className="timeline__removed-delete"
+                            title="Manter trecho"
+                            onMouseDown={(e) => e.stopPropagation()}
+                            onClick={(e) => handleRemoveRange(e, range.id)}
+                        >
+                            ×
+                        </button>
+                        <div
+                            className="timeline__removed-handle timeline__removed-handle--end"
+                            onMouseDown={(e) => handleMouseDown(e, 'range-end', range.id)}
+                        />
+                    </div>
+                ))}
+
+                {/* Speed ranges */}
+                {speedRanges.map((range) => (
+                    <div
+                        key={range.id}
+                        className="timeline__speed-range"
+                        style={{
+                            left: `${getPositionFromTime(range.start)}%`,
+                            width: `${getPositionFromTime(range.end) - getPositionFromTime(range.start)}%`
+                        }}
+                    >
+                        <div
+                            className="timeline__removed-handle timeline__removed-handle--start"
+                            onMouseDown={(e) => handleMouseDown(e, 'speed-start', range.id)}
+                        />
+                        <div
+                            className="timeline__speed-label"
+                            onMouseDown={(e) => e.stopPropagation()}
+                            onClick={(e) => e.stopPropagation()}
+                        >
+                            <select
+                                className="timeline__speed-select"
+                                value={range.speed}
+                                onChange={(e) => handleRangeSpeedChange(range.id, parseFloat(e.target.value))}
+                                title="Velocidade do trecho"
+                            >
+                                {RANGE_SPEED_OPTIONS.map(option => (
+                                    <option key={option} value={option}>{option}x</option>
+                                ))}
+                            </select>
+                            <button
+                                className="timeline__speed-delete"
+                                title="Velocidade normal"
+                                onClick={(e) => handleRemoveSpeedRange(e, range.id)}
+                            >
+                                ×
+                            </button>
+                        </div>
+                        <div
+                            className="timeline__removed-handle timeline__removed-handle--end"
+                            onMouseDown={(e) => handleMouseDown(e, 'speed-end', range.id)}
+                        />
+                    </div>
+                ))}
+
+                {/* Keyframes (fast trim mode) */}
+                {keyframes && keyframes.length <= MAX_KEYFRAME_TICKS && keyframes.map((time) => (
+                    <div
+                        key={time}
+                        className="timeline__keyframe"
+                        style={{ left: `${getPositionFromTime(time)}%` }}
+                    />
+                ))}
+
+                {/* Cut points snapped to keyframes (fast trim mode) */}
+                {snappedSegments && snappedSegments.map((segment) => (
+                    <div
+                        key={`${segment.start}-${segment.end}`}
+                        className="timeline__snapped-segment"
+                        style={{
+                            left: `${getPositionFromTime(segment.start)}%`,
+                            width: `${getPositionFromTime(segment.end) - getPositionFromTime(segment.start)}%`
+                        }}
+                    />
+                ))}
+
                 {/* Hover time indicator */}
                 {hoverTime !== null && !isDragging && (
                     <div
@@ -192,6 +339,18 @@ export function Timeline({
                     onMouseDown={(e) => handleMouseDown(e, 'playhead')}
                 />
             </div>
+
+            {keyframes && !snappedSegments && (
+                <div className="timeline__snap-info">Analisando keyframes...</div>
+            )}
+            {snappedSegments && (
+                <div className="timeline__snap-info">
+                    Corte rápido nos keyframes:{' '}
+                    {snappedSegments.length > 0
+                        ? snappedSegments.map(segment => `${formatTime(segment.start)} – ${formatTime(segment.end)}`).join(', ')
+                        : 'nenhum trecho entre keyframes'}
+                </div>
+            )}
         </div>
     );
 }
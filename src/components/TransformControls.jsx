@@ -0,0 +1,35 @@
+export function TransformControls({ transform, onRotate, onFlip }) {
+    return (
+        <div className="aspect-buttons">
+            <button className="aspect-btn" onClick={() => onRotate(-1)} title="Girar 90° para a esquerda">
+                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                    <polyline points="1 4 1 10 7 10" />
+                    <path d="M3.51 15a9 9 0 1 0 2.13-9.36L1 10" />
+                </svg>
+            </button>
+            <button className="aspect-btn" onClick={() => onRotate(1)} title="Girar 90° para a direita">
+                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                    <polyline points="23 4 23 10 17 10" />
+                    <path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10" />
+                </svg>
+            </button>
+            <button
+                className={`aspect-btn ${transform.flipH ? 'aspect-btn--active' : ''}`}
+                onClick={() => onFlip('flipH')}
+                title="Espelhar horizontalmente"
+            >
+                ⇆
+            </button>
+            <button
+                className={`aspect-btn ${transform.flipV ? 'aspect-btn--active' : ''}`}
+                onClick={() => onFlip('flipV')}
+                title="Espelhar verticalmente"
+            >
+                ⇅
+            </button>
+            {transform.rotation !== 0 && (
+                <span className="speed-value" title="Rotação aplicada">{transform.rotation}°</span>
+            )}
+        </div>
+    );
+}
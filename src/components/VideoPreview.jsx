@@ -1,4 +1,18 @@
-import { useRef, useEffect, useState, useCallback } from 'react';
+import { useRef, useEffect, useState, useCallback, useMemo } from 'react';
+import { useAudioPreview } from '../hooks/useAudioPreview';
+import {
+    OVERLAY_FONT_FAMILY,
+    loadOverlayFont,
+    getBoxPadding,
+    isOverlayVisible,
+    toCssColor
+} from '../utils/textOverlay';
+import { getSubtitleMetrics } from '../utils/subtitles';
+import { getWatermarkRect } from '../utils/watermark';
+import { getTransformedSize, getPreviewTransform, isIdentityTransform } from '../utils/transform';
+
+// Matches the max-height of .video-preview__video
+const PREVIEW_HEIGHT_OFFSET = 260;
 
 export function VideoPreview({
     videoFile,
@@ -8,10 +22,22 @@ export function VideoPreview({
     isPlaying,
     onPlayPause,
     onTimeUpdate,
-    onLoadedMetadata
+    onLoadedMetadata,
+    getAudioGain,
+    currentTime,
+    textOverlays,
+    selectedTextId,
+    onTextSelect,
+    onTextOverlayChange,
+    subtitleText,
+    watermark,
+    onWatermarkChange,
+    transform
 }) {
     const containerRef = useRef(null);
-    const [videoDimensions, setVideoDimensions] = useState({ width: 0, height: 0 });
+    // Layout size of the <video> element and the source frame size
+    const [videoBox, setVideoBox] = useState({ width: 0, height: 0, sourceWidth: 0, sourceHeight: 0 });
+    const [availableSize, setAvailableSize] = useState(null);
     const [videoUrl, setVideoUrl] = useState(null);
     const [isDragging, setIsDragging] = useState(false);
     const [dragHandle, setDragHandle] = useState(null);
@@ -20,6 +46,20 @@ export function VideoPreview({
     const [isAltPressed, setIsAltPressed] = useState(false);
     const [isVideoReady, setIsVideoReady] = useState(false);
 
+    const [textDrag, setTextDrag] = useState(null);
+    const [watermarkDrag, setWatermarkDrag] = useState(null);
+
+    // Live preview of mute, gain and fades
+    useAudioPreview(videoRef, getAudioGain);
+
+    // Render overlays and subtitles with the font the export will use
+    const usesOverlayFont = textOverlays.length > 0 || !!subtitleText;
+    useEffect(() => {
+        if (usesOverlayFont) {
+            loadOverlayFont();
+        }
+    }, [usesOverlayFont]);
+
     // Create video URL - always use blob URL
     useEffect(() => {
         if (!videoFile) {
@@ -59,20 +99,74 @@ export function VideoPreview({
         };
     }, []);
 
+    // Quarter turns can't be laid out by CSS (the element keeps its unrotated
+    // box), so the rotated video is sized to fit the space available
+    const isQuarterTurn = transform.rotation % 180 !== 0;
+    const rotatedFit = useMemo(() => {
+        if (!isQuarterTurn || !availableSize || !videoBox.sourceWidth) return null;
+        const scale = Math.min(
+            1,
+            availableSize.width / videoBox.sourceHeight,
+            availableSize.height / videoBox.sourceWidth
+        );
+        return {
+            elementWidth: videoBox.sourceWidth * scale,
+            elementHeight: videoBox.sourceHeight * scale,
+            width: videoBox.sourceHeight * scale,
+            height: videoBox.sourceWidth * scale
+        };
+    }, [isQuarterTurn, availableSize, videoBox]);
+
+    // Display size and frame size, both in the transformed (rotated/flipped) frame
+    const videoDimensions = useMemo(() => {
+        const frame = getTransformedSize(videoBox.sourceWidth, videoBox.sourceHeight, transform);
+        return {
+            width: rotatedFit ? rotatedFit.width : videoBox.width,
+            height: rotatedFit ? rotatedFit.height : videoBox.height,
+            videoWidth: frame.width,
+            videoHeight: frame.height
+        };
+    }, [videoBox, transform, rotatedFit]);
+
+    // Measure the video element (only used without a quarter turn)
+    const measureVideo = useCallback(() => {
+        const video = videoRef.current;
+        if (!video || !(video.videoWidth > 0 && video.videoHeight > 0)) return false;
+
+        const rect = video.getBoundingClientRect();
+        setVideoBox({
+            width: rect.width,
+            height: rect.height,
+            sourceWidth: video.videoWidth,
+            sourceHeight: video.videoHeight
+        });
+        return true;
+    }, [videoRef]);
+
+    // Re-measure when the layout changes (rotating back, window resize)
+    useEffect(() => {
+        const video = videoRef.current;
+        const area = containerRef.current?.parentElement;
+        if (!video || !area) return;
+
+        const observer = new ResizeObserver(() => {
+            measureVideo();
+            setAvailableSize({
+                width: area.clientWidth,
+                height: window.innerHeight - PREVIEW_HEIGHT_OFFSET
+            });
+        });
+        observer.observe(video);
+        observer.observe(area);
+        return () => observer.disconnect();
+    }, [videoRef, measureVideo]);
+
     // Handle metadata and video dimensions
     const updateVideoDimensions = useCallback(() => {
         if (videoRef.current) {
             const video = videoRef.current;
-            const rect = video.getBoundingClientRect();
-
-            if (video.videoWidth > 0 && video.videoHeight > 0) {
-                setVideoDimensions({
-                    width: rect.width,
-                    height: rect.height,
-                    videoWidth: video.videoWidth,
-                    videoHeight: video.videoHeight
-                });
 
+            if (measureVideo()) {
                 // Only call onLoadedMetadata if we have valid dimensions
                 const duration = isFinite(video.duration) && video.duration > 0
                     ? video.duration
@@ -85,7 +179,7 @@ export function VideoPreview({
                 });
             }
         }
-    }, [onLoadedMetadata]);
+    }, [measureVideo, onLoadedMetadata]);
 
     const handleLoadedMetadata = () => {
         updateVideoDimensions();
@@ -348,14 +442,93 @@ export function VideoPreview({
         }
     }, [isDragging, handleMouseMove, handleMouseUp]);
 
+    const handleTextMouseDown = (e, overlay) => {
+        e.stopPropagation();
+        onTextSelect(overlay.id);
+        setTextDrag({ id: overlay.id, startX: e.clientX, startY: e.clientY, originX: overlay.x, originY: overlay.y });
+    };
+
+    // Drag text overlays - positions are stored in video pixels
+    useEffect(() => {
+        if (!textDrag) return;
+
+        const handleMove = (e) => {
+            const scale = getScale();
+            onTextOverlayChange(textDrag.id, {
+                x: Math.round(Math.max(0, Math.min(videoDimensions.videoWidth, textDrag.originX + (e.clientX - textDrag.startX) / scale))),
+                y: Math.round(Math.max(0, Math.min(videoDimensions.videoHeight, textDrag.originY + (e.clientY - textDrag.startY) / scale)))
+            });
+        };
+        const handleUp = () => setTextDrag(null);
+
+        window.addEventListener('mousemove', handleMove);
+        window.addEventListener('mouseup', handleUp);
+        return () => {
+            window.removeEventListener('mousemove', handleMove);
+            window.removeEventListener('mouseup', handleUp);
+        };
+    }, [textDrag, getScale, videoDimensions, onTextOverlayChange]);
+
+    const handleWatermarkMouseDown = (e, rect) => {
+        e.stopPropagation();
+        setWatermarkDrag({ startX: e.clientX, startY: e.clientY, originX: rect.x, originY: rect.y, width: rect.width, height: rect.height });
+    };
+
+    // Drag the watermark - leaves the corner preset for a position relative to the crop
+    useEffect(() => {
+        if (!watermarkDrag) return;
+
+        const handleMove = (e) => {
+            const scale = getScale();
+            const maxX = cropArea.x + cropArea.width - watermarkDrag.width;
+            const maxY = cropArea.y + cropArea.height - watermarkDrag.height;
+            const x = Math.max(cropArea.x, Math.min(maxX, watermarkDrag.originX + (e.clientX - watermarkDrag.startX) / scale));
+            const y = Math.max(cropArea.y, Math.min(maxY, watermarkDrag.originY + (e.clientY - watermarkDrag.startY) / scale));
+            onWatermarkChange({
+                corner: null,
+                x: (x - cropArea.x) / cropArea.width,
+                y: (y - cropArea.y) / cropArea.height
+            });
+        };
+        const handleUp = () => setWatermarkDrag(null);
+
+        window.addEventListener('mousemove', handleMove);
+        window.addEventListener('mouseup', handleUp);
+        return () => {
+            window.removeEventListener('mousemove', handleMove);
+            window.removeEventListener('mouseup', handleUp);
+        };
+    }, [watermarkDrag, getScale, cropArea, onWatermarkChange]);
+
+    const previewTransform = isIdentityTransform(transform) ? undefined : getPreviewTransform(transform);
+    const videoStyle = rotatedFit
+        ? {
+            position: 'absolute',
+            left: (rotatedFit.width - rotatedFit.elementWidth) / 2,
+            top: (rotatedFit.height - rotatedFit.elementHeight) / 2,
+            width: rotatedFit.elementWidth,
+            height: rotatedFit.elementHeight,
+            maxWidth: 'none',
+            maxHeight: 'none',
+            transform: previewTransform
+        }
+        : { transform: previewTransform };
+
     const displayCrop = getDisplayCrop();
+    const scale = getScale();
+    const subtitleMetrics = getSubtitleMetrics(displayCrop.height);
+    const watermarkRect = watermark && cropArea.width > 0 ? getWatermarkRect(watermark, cropArea) : null;
 
     return (
         <div className="video-preview" ref={containerRef}>
-            <div className="video-preview__container">
+            <div
+                className="video-preview__container"
+                style={rotatedFit ? { width: rotatedFit.width, height: rotatedFit.height } : undefined}
+            >
                 <video
                     ref={videoRef}
                     className="video-preview__video"
+                    style={videoStyle}
                     src={videoUrl}
                     preload="auto"
                     onLoadedMetadata={handleLoadedMetadata}
@@ -399,6 +572,67 @@ export function VideoPreview({
                             <div className="crop-box__handle crop-box__handle--sw" onMouseDown={(e) => handleMouseDown(e, 'sw')} />
                             <div className="crop-box__handle crop-box__handle--w" onMouseDown={(e) => handleMouseDown(e, 'w')} />
                         </div>
+
+                        {/* Watermark - composited under the text overlays, like the export */}
+                        {watermarkRect && (
+                            <img
+                                className="watermark-overlay"
+                                src={watermark.image.src}
+                                alt=""
+                                draggable={false}
+                                style={{
+                                    left: watermarkRect.x * scale,
+                                    top: watermarkRect.y * scale,
+                                    width: watermarkRect.width * scale,
+                                    height: watermarkRect.height * scale,
+                                    opacity: watermark.opacity
+                                }}
+                                onMouseDown={(e) => handleWatermarkMouseDown(e, watermarkRect)}
+                            />
+                        )}
+
+                        {/* Text overlays - the selected one stays visible while editing */}
+                        {textOverlays
+                            .filter(overlay => overlay.id === selectedTextId || isOverlayVisible(overlay, currentTime))
+                            .map(overlay => {
+                                const padding = overlay.box ? getBoxPadding(overlay) : 0;
+                                return (
+                                    <div
+                                        key={overlay.id}
+                                        className={`text-overlay ${overlay.id === selectedTextId ? 'text-overlay--selected' : ''}`}
+                                        style={{
+                                            left: (overlay.x - padding) * scale,
+                                            top: (overlay.y - padding) * scale,
+                                            padding: padding * scale,
+                                            fontFamily: `'${OVERLAY_FONT_FAMILY}', sans-serif`,
+                                            fontSize: overlay.fontSize * scale,
+                                            color: overlay.color,
+                                            background: overlay.box ? toCssColor(overlay.boxColor, overlay.boxOpacity) : 'transparent',
+                                            opacity: isOverlayVisible(overlay, currentTime) ? 1 : 0.4
+                                        }}
+                                        onMouseDown={(e) => handleTextMouseDown(e, overlay)}
+                                    >
+                                        {overlay.text}
+                                    </div>
+                                );
+                            })}
+
+                        {/* Current subtitle cue, placed like libass places it in the crop */}
+                        {subtitleText && (
+                            <div
+                                className="subtitle-cue"
+                                style={{
+                                    left: displayCrop.x,
+                                    width: displayCrop.width,
+                                    top: displayCrop.y + displayCrop.height - subtitleMetrics.marginBottom,
+                                    fontFamily: `'${OVERLAY_FONT_FAMILY}', sans-serif`,
+                                    fontSize: subtitleMetrics.fontSize,
+                                    textShadow: `0 0 ${subtitleMetrics.outline}px #000, 0 0 ${subtitleMetrics.outline}px #000`
+                                }}
+                            >
+                                {subtitleText}
+                            </div>
+                        )}
                     </div>
                 )}
             </div>
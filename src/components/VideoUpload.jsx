@@ -1,7 +1,9 @@
 import { useState, useRef, useCallback } from 'react';
 import { ScreenRecorder } from './ScreenRecorder';
 
-export function VideoUpload({ onVideoLoad, isRecording, onRecordingStart, onRecordingEnd }) {
+const VALID_TYPES = ['video/mp4', 'video/webm', 'video/quicktime'];
+
+export function VideoUpload({ onVideoLoad, onBatchLoad, isRecording, onRecordingStart, onRecordingEnd }) {
     const [isDragOver, setIsDragOver] = useState(false);
     const inputRef = useRef(null);
 
@@ -23,10 +25,7 @@ export function VideoUpload({ onVideoLoad, isRecording, onRecordingStart, onReco
 
         if (isRecording) return;
 
-        const files = e.dataTransfer.files;
-        if (files.length > 0) {
-            validateAndLoadVideo(files[0]);
-        }
+        validateAndLoadVideos(e.dataTransfer.files);
     }, [isRecording]);
 
     const handleClick = () => {
@@ -36,22 +35,30 @@ export function VideoUpload({ onVideoLoad, isRecording, onRecordingStart, onReco
     };
 
     const handleFileChange = (e) => {
-        const files = e.target.files;
-        if (files.length > 0) {
-            validateAndLoadVideo(files[0]);
-        }
+        validateAndLoadVideos(e.target.files);
+        e.target.value = '';
     };
 
-    const validateAndLoadVideo = (file) => {
-        const validTypes = ['video/mp4', 'video/webm', 'video/quicktime'];
+    const validateAndLoadVideos = (fileList) => {
+        const files = Array.from(fileList);
+        if (files.length === 0) return;
+
+        const validFiles = files.filter(file => VALID_TYPES.includes(file.type));
+        if (validFiles.length < files.length) {
+            alert(validFiles.length === 0
+                ? 'Formato não suportado. Use MP4, WebM ou MOV.'
+                : `${files.length - validFiles.length} arquivo(s) ignorado(s): use MP4, WebM ou MOV.`);
+        }
+        if (validFiles.length === 0) return;
 
-        if (!validTypes.includes(file.type)) {
-            alert('Formato não suportado. Use MP4, WebM ou MOV.');
+        // Several files go to the batch queue
+        if (validFiles.length > 1) {
+            onBatchLoad(validFiles);
             return;
         }
 
         // Regular file upload, no known duration
-        onVideoLoad(file, null);
+        onVideoLoad(validFiles[0], null);
     };
 
     const handleRecordingComplete = (file, duration) => {
@@ -82,6 +89,7 @@ export function VideoUpload({ onVideoLoad, isRecording, onRecordingStart, onReco
                 ref={inputRef}
                 type="file"
                 accept="video/mp4,video/webm,video/quicktime"
+                multiple
                 onChange={handleFileChange}
                 style={{ display: 'none' }}
             />
@@ -113,7 +121,7 @@ export function VideoUpload({ onVideoLoad, isRecording, onRecordingStart, onReco
             </div>
 
             <p className="video-upload-hint">
-                ou arraste um arquivo de vídeo aqui
+                ou arraste um ou mais vídeos aqui (vários arquivos abrem a fila de exportação)
             </p>
         </div>
     );
@@ -0,0 +1,146 @@
+import { useState, useRef } from 'react';
+import {
+    WATERMARK_CORNERS,
+    WATERMARK_SCALE_RANGE,
+    createWatermark,
+    loadWatermarkImage,
+    getBrandWatermark,
+    setBrandWatermark
+} from '../utils/watermark';
+
+export function WatermarkControls({ watermark, onWatermarkChange }) {
+    const [showPanel, setShowPanel] = useState(false);
+    const [hasBrand, setHasBrand] = useState(() => getBrandWatermark() !== null);
+    const inputRef = useRef(null);
+
+    const handleFileChange = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        try {
+            const image = await loadWatermarkImage(file);
+            // Replacing the image keeps the placement
+            onWatermarkChange(watermark ? { ...watermark, image } : createWatermark(image));
+        } catch (error) {
+            alert('Erro ao abrir imagem: ' + error.message);
+        }
+    };
+
+    const handleSaveBrand = () => {
+        try {
+            setBrandWatermark(watermark);
+            setHasBrand(true);
+        } catch (error) {
+            alert(error.message);
+        }
+    };
+
+    const handleForgetBrand = () => {
+        setBrandWatermark(null);
+        setHasBrand(false);
+    };
+
+    const handleChange = (patch) => onWatermarkChange({ ...watermark, ...patch });
+
+    return (
+        <div className="watermark-controls">
+            <input
+                ref={inputRef}
+                type="file"
+                accept="image/png,image/svg+xml,image/webp,image/jpeg"
+                onChange={handleFileChange}
+                style={{ display: 'none' }}
+            />
+
+            <button className="cut-btn" onClick={() => setShowPanel(!showPanel)} title="Logo sobre o vídeo">
+                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                    <rect x="3" y="3" width="18" height="18" rx="2" />
+                    <circle cx="8.5" cy="8.5" r="1.5" />
+                    <polyline points="21 15 16 10 5 21" />
+                </svg>
+                Logo
+            </button>
+
+            {showPanel && (
+                <div className="text-panel">
+                    <div className="text-panel__list">
+                        <button className="export-option-btn" onClick={() => inputRef.current?.click()}>
+                            {watermark ? 'Trocar imagem' : 'Carregar PNG/SVG'}
+                        </button>
+                        {hasBrand && (
+                            <button
+                                className="export-option-btn"
+                                onClick={() => onWatermarkChange(getBrandWatermark())}
+                                title="Aplicar o logo salvo como padrão"
+                            >
+                                Usar padrão
+                            </button>
+                        )}
+                    </div>
+
+                    {watermark && (
+                        <>
+                            <div className="text-panel__row">
+                                <label className="export-options__label">Posição</label>
+                                {WATERMARK_CORNERS.map(corner => (
+                                    <button
+                                        key={corner.key}
+                                        className={`export-option-btn ${watermark.corner === corner.key ? 'export-option-btn--active' : ''}`}
+                                        onClick={() => handleChange({ corner: corner.key })}
+                                        title={corner.title}
+                                    >
+                                        {corner.label}
+                                    </button>
+                                ))}
+                            </div>
+
+                            <div className="text-panel__row">
+                                <label className="export-options__label">Tamanho</label>
+                                <input
+                                    type="range"
+                                    className="speed-slider"
+                                    min={WATERMARK_SCALE_RANGE.min}
+                                    max={WATERMARK_SCALE_RANGE.max}
+                                    step="0.01"
+                                    value={watermark.scale}
+                                    onChange={(e) => handleChange({ scale: parseFloat(e.target.value) })}
+                                />
+                                <span className="speed-value">{Math.round(watermark.scale * 100)}%</span>
+                            </div>
+
+                            <div className="text-panel__row">
+                                <label className="export-options__label">Opacidade</label>
+                                <input
+                                    type="range"
+                                    className="speed-slider"
+                                    min="0.1"
+                                    max="1"
+                                    step="0.05"
+                                    value={watermark.opacity}
+                                    onChange={(e) => handleChange({ opacity: parseFloat(e.target.value) })}
+                                />
+                                <span className="speed-value">{Math.round(watermark.opacity * 100)}%</span>
+                            </div>
+
+                            <div className="text-panel__list">
+                                <button className="export-option-btn" onClick={handleSaveBrand} title="Aplicar este logo a todo vídeo novo">
+                                    Salvar como padrão
+                                </button>
+                                {hasBrand && (
+                                    <button className="export-option-btn" onClick={handleForgetBrand}>
+                                        Esquecer padrão
+                                    </button>
+                                )}
+                            </div>
+
+                            <button className="modal__btn" onClick={() => onWatermarkChange(null)}>
+                                Remover logo
+                            </button>
+                        </>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
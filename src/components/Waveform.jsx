@@ -0,0 +1,33 @@
+import { useRef, useEffect } from 'react';
+
+const WAVEFORM_HEIGHT = 64;
+const WAVEFORM_COLOR = '#5B8DEF';
+
+export function Waveform({ peaks }) {
+    const canvasRef = useRef(null);
+
+    // One pixel column per peak; CSS stretches the canvas to the track width
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        if (!canvas) return;
+
+        const ctx = canvas.getContext('2d');
+        const middle = WAVEFORM_HEIGHT / 2;
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.fillStyle = WAVEFORM_COLOR;
+
+        peaks.forEach((peak, x) => {
+            const half = Math.max(0.5, peak * middle);
+            ctx.fillRect(x, middle - half, 1, half * 2);
+        });
+    }, [peaks]);
+
+    return (
+        <canvas
+            ref={canvasRef}
+            className="timeline__waveform"
+            width={peaks.length}
+            height={WAVEFORM_HEIGHT}
+        />
+    );
+}
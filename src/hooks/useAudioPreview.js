@@ -0,0 +1,88 @@
+import { useEffect, useRef } from 'react';
+
+// Time constant for gain changes - short enough to follow fades, long enough to avoid clicks
+const GAIN_SMOOTHING = 0.015;
+
+/**
+ * Preview audio gain and fades on a <video> element.
+ *
+ * The element's own `volume` can't go above 1, so its audio is routed through
+ * a Web Audio GainNode, updated every frame while playing. The audio graph is
+ * created on the first play, when the browser lets an AudioContext start.
+ *
+ * @param {React.RefObject<HTMLVideoElement>} videoRef - The preview video
+ * @param {(time: number) => number} getGain - Linear gain for a source time
+ */
+export function useAudioPreview(videoRef, getGain) {
+    const graphRef = useRef(null);
+    const getGainRef = useRef(getGain);
+
+    useEffect(() => {
+        getGainRef.current = getGain;
+
+        // Settings changed while paused
+        const graph = graphRef.current;
+        const video = videoRef.current;
+        if (graph && video) {
+            graph.gainNode.gain.setTargetAtTime(getGain(video.currentTime), graph.context.currentTime, GAIN_SMOOTHING);
+        }
+    }, [getGain, videoRef]);
+
+    useEffect(() => {
+        const video = videoRef.current;
+        if (!video) return;
+
+        let frameId = null;
+
+        const updateGain = () => {
+            const graph = graphRef.current;
+            if (!graph) return;
+            graph.gainNode.gain.setTargetAtTime(
+                getGainRef.current(video.currentTime),
+                graph.context.currentTime,
+                GAIN_SMOOTHING
+            );
+        };
+
+        const tick = () => {
+            updateGain();
+            frameId = requestAnimationFrame(tick);
+        };
+
+        const handlePlay = () => {
+            // A media element can only be connected to one source node
+            if (!graphRef.current) {
+                const context = new AudioContext();
+                const source = context.createMediaElementSource(video);
+                const gainNode = context.createGain();
+                source.connect(gainNode).connect(context.destination);
+                graphRef.current = { context, gainNode };
+            }
+            graphRef.current.context.resume();
+
+            cancelAnimationFrame(frameId);
+            tick();
+        };
+
+        const handlePause = () => {
+            cancelAnimationFrame(frameId);
+            updateGain();
+        };
+
+        video.addEventListener('play', handlePlay);
+        video.addEventListener('pause', handlePause);
+        video.addEventListener('seeked', updateGain);
+
+        return () => {
+            cancelAnimationFrame(frameId);
+            video.removeEventListener('play', handlePlay);
+            video.removeEventListener('pause', handlePause);
+            video.removeEventListener('seeked', updateGain);
+        };
+    }, [videoRef]);
+
+    useEffect(() => () => {
+        graphRef.current?.context.close();
+        graphRef.current = null;
+    }, []);
+}
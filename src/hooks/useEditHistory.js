@@ -0,0 +1,110 @@
+import { useState, useEffect, useCallback } from 'react';
+
+const MAX_HISTORY = 100;
+
+// Held during a drag (Alt keeps the crop ratio), so they don't end the gesture
+const MODIFIER_KEYS = ['Alt', 'Control', 'Meta', 'Shift'];
+
+/**
+ * Edit state with undo/redo history.
+ *
+ * Changes passed with the same `coalesce` key are merged into a single history
+ * entry until the current mouse gesture ends or a key is pressed, so a whole
+ * drag (crop box, trim handles, sliders) is undone in one step while each
+ * shortcut (I/O marks) gets its own.
+ *
+ * @param {object} initialState - Initial edit state
+ */
+export function useEditHistory(initialState) {
+    const [history, setHistory] = useState({
+        past: [],
+        present: initialState,
+        future: [],
+        gesture: null
+    });
+
+    // Every mousedown/mouseup and keydown closes the open gesture (capture
+    // phase, so it runs before the shortcut handlers)
+    useEffect(() => {
+        const closeGesture = () => {
+            setHistory(h => (h.gesture ? { ...h, gesture: null } : h));
+        };
+        const handleKeyDown = (e) => {
+            if (!MODIFIER_KEYS.includes(e.key)) closeGesture();
+        };
+
+        window.addEventListener('mousedown', closeGesture, true);
+        window.addEventListener('mouseup', closeGesture, true);
+        window.addEventListener('keydown', handleKeyDown, true);
+
+        return () => {
+            window.removeEventListener('mousedown', closeGesture, true);
+            window.removeEventListener('mouseup', closeGesture, true);
+            window.removeEventListener('keydown', handleKeyDown, true);
+        };
+    }, []);
+
+    // Apply a patch (object or function of the current state) as a new history entry
+    const set = useCallback((update, { coalesce = null } = {}) => {
+        setHistory(h => {
+            const patch = typeof update === 'function' ? update(h.present) : update;
+            const isNoop = Object.keys(patch).every(key => h.present[key] === patch[key]);
+            if (isNoop) return h;
+
+            const present = { ...h.present, ...patch };
+
+            if (coalesce !== null && h.gesture === coalesce) {
+                return { ...h, present, future: [] };
+            }
+
+            return {
+                past: [...h.past, h.present].slice(-MAX_HISTORY),
+                present,
+                future: [],
+                gesture: coalesce
+            };
+        });
+    }, []);
+
+    // Replace the state and clear history (new video, project load)
+    const reset = useCallback((update) => {
+        setHistory(h => {
+            const patch = typeof update === 'function' ? update(h.present) : update;
+            return { past: [], present: { ...h.present, ...patch }, future: [], gesture: null };
+        });
+    }, []);
+
+    const undo = useCallback(() => {
+        setHistory(h => {
+            if (h.past.length === 0) return h;
+            return {
+                past: h.past.slice(0, -1),
+                present: h.past[h.past.length - 1],
+                future: [h.present, ...h.future],
+                gesture: null
+            };
+        });
+    }, []);
+
+    const redo = useCallback(() => {
+        setHistory(h => {
+            if (h.future.length === 0) return h;
+            return {
+                past: [...h.past, h.present],
+                present: h.future[0],
+                future: h.future.slice(1),
+                gesture: null
+            };
+        });
+    }, []);
+
+    return {
+        state: history.present,
+        set,
+        reset,
+        undo,
+        redo,
+        canUndo: history.past.length > 0,
+        canRedo: history.future.length > 0
+    };
+}
@@ -0,0 +1,85 @@
+import { useRef, useEffect, useCallback } from 'react';
+
+/**
+ * Approximate backward playback for the preview.
+ *
+ * Browsers can't play a <video> backward, so the element is paused and
+ * stepped back with a seek per animation frame. Removed parts are skipped and
+ * `onEnd` is called when the first kept segment is reached.
+ *
+ * @param {React.RefObject<HTMLVideoElement>} videoRef - The preview video
+ * @param {object} options
+ * @param {{start: number, end: number, speed?: number}[]} options.segments - Kept segments
+ * @param {number} options.speed - Playback speed for segments without their own
+ * @param {number} [options.rate=1] - Extra multiplier on top of the speed (J/K/L shuttle)
+ * @param {(time: number) => void} options.onTimeUpdate - Called with each new position
+ * @param {() => void} options.onEnd - Called when the start is reached
+ * @returns {{start: () => void, stop: () => void, isActive: () => boolean}}
+ */
+export function useReversePlayback(videoRef, { segments, speed, rate = 1, onTimeUpdate, onEnd }) {
+    const frameRef = useRef(null);
+    const optionsRef = useRef({ segments, speed, rate, onTimeUpdate, onEnd });
+
+    useEffect(() => {
+        optionsRef.current = { segments, speed, rate, onTimeUpdate, onEnd };
+    }, [segments, speed, rate, onTimeUpdate, onEnd]);
+
+    const stop = useCallback(() => {
+        cancelAnimationFrame(frameRef.current);
+        frameRef.current = null;
+    }, []);
+
+    const start = useCallback(() => {
+        const video = videoRef.current;
+        if (!video) return;
+
+        stop();
+        video.pause();
+
+        let time = video.currentTime;
+        let lastFrame = performance.now();
+
+        const step = (now) => {
+            // The preview was closed (new video)
+            if (videoRef.current !== video) {
+                frameRef.current = null;
+                return;
+            }
+
+            const { segments, speed, rate, onTimeUpdate, onEnd } = optionsRef.current;
+            // Segments split at speed ranges carry their own speed
+            const current = segments.find(s => time > s.start && time <= s.end);
+            time -= ((now - lastFrame) / 1000) * (current?.speed ?? speed) * rate;
+            lastFrame = now;
+
+            // Kept segment at or before the new position - jump back over removed parts
+            const segment = [...segments].reverse().find(s => s.start < time);
+            if (!segment) {
+                const first = segments[0];
+                if (first) {
+                    video.currentTime = first.start;
+                    onTimeUpdate(first.start);
+                }
+                frameRef.current = null;
+                onEnd();
+                return;
+            }
+            time = Math.min(time, segment.end);
+
+            // Skip the seek while the previous one is still decoding
+            if (!video.seeking) {
+                video.currentTime = time;
+            }
+            onTimeUpdate(time);
+            frameRef.current = requestAnimationFrame(step);
+        };
+
+        frameRef.current = requestAnimationFrame(step);
+    }, [videoRef, stop]);
+
+    const isActive = useCallback(() => frameRef.current !== null, []);
+
+    useEffect(() => stop, [stop]);
+
+    return { start, stop, isActive };
+}
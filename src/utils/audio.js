@@ -0,0 +1,69 @@
+/**
+ * Range of the volume gain slider, in dB
+ */
+export const GAIN_RANGE = { min: -20, max: 20 };
+
+/**
+ * Longest fade the audio panel offers, in seconds
+ */
+export const MAX_FADE_DURATION = 10;
+
+/**
+ * Convert a gain in dB to a linear factor
+ * @param {number} db - Gain in dB
+ * @returns {number} Linear gain
+ */
+export function dbToGain(db) {
+    return Math.pow(10, db / 20);
+}
+
+/**
+ * Whether the audio settings change anything (stream copy can't apply them)
+ * @param {{muted: boolean, gain: number, fadeIn: number, fadeOut: number}} audio
+ * @returns {boolean}
+ */
+export function hasAudioEffects(audio) {
+    return audio.muted || audio.gain !== 0 || audio.fadeIn > 0 || audio.fadeOut > 0;
+}
+
+/**
+ * Linear gain at a point of the output, with the fades applied
+ * @param {{muted: boolean, gain: number, fadeIn: number, fadeOut: number}} audio
+ * @param {number} outputTime - Position in the output in seconds
+ * @param {number} outputDuration - Output duration in seconds
+ * @returns {number} Linear gain
+ */
+export function getAudioGain(audio, outputTime, outputDuration) {
+    if (audio.muted) return 0;
+
+    let gain = dbToGain(audio.gain);
+    if (audio.fadeIn > 0 && outputTime < audio.fadeIn) {
+        gain *= Math.max(0, outputTime / audio.fadeIn);
+    }
+    const remaining = outputDuration - outputTime;
+    if (audio.fadeOut > 0 && remaining < audio.fadeOut) {
+        gain *= Math.max(0, remaining / audio.fadeOut);
+    }
+    return gain;
+}
+
+/**
+ * FFmpeg audio filters for the gain and fades, applied to the joined output
+ * @param {{gain: number, fadeIn: number, fadeOut: number}} audio
+ * @param {number|null} outputDuration - Output duration in seconds (null if unknown)
+ * @returns {string[]} Filters (empty when there is nothing to do)
+ */
+export function buildAudioFilters(audio, outputDuration) {
+    const filters = [];
+    if (audio.gain !== 0) {
+        filters.push(`volume=${audio.gain}dB`);
+    }
+    if (audio.fadeIn > 0) {
+        filters.push(`afade=t=in:st=0:d=${audio.fadeIn.toFixed(3)}`);
+    }
+    if (audio.fadeOut > 0 && outputDuration) {
+        const fadeOut = Math.min(audio.fadeOut, outputDuration);
+        filters.push(`afade=t=out:st=${(outputDuration - fadeOut).toFixed(3)}:d=${fadeOut.toFixed(3)}`);
+    }
+    return filters;
+}
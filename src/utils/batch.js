@@ -0,0 +1,74 @@
+import { getCenteredCrop } from './crop';
+import { MIN_RANGE_DURATION } from './segments';
+
+export const BATCH_SPEEDS = [0.5, 1, 1.5, 2, 4];
+
+/**
+ * Settings shared by every file in the batch queue
+ */
+export const DEFAULT_BATCH_SETTINGS = {
+    // Crop ratio (width / height), null keeps the full frame
+    ratio: null,
+    speed: 1,
+    format: 'mp4',
+    quality: 'medium',
+    // Amount cut from each end, in percent of the duration or in seconds
+    trimUnit: 'percent',
+    trimHead: 0,
+    trimTail: 0,
+};
+
+/**
+ * Part of a file kept by the batch trim
+ * @param {object} settings - Batch settings
+ * @param {number} duration - File duration in seconds
+ * @returns {{start: number, end: number}}
+ */
+export function getBatchTrim(settings, duration) {
+    const toSeconds = (value) => (settings.trimUnit === 'percent' ? (duration * value) / 100 : value);
+    const start = Math.max(0, toSeconds(settings.trimHead));
+    const end = Math.min(duration, duration - toSeconds(settings.trimTail));
+
+    if (end - start < MIN_RANGE_DURATION) {
+        throw new Error('O corte remove o vídeo inteiro');
+    }
+    return { start, end };
+}
+
+/**
+ * processVideo options for one file of the batch
+ * @param {object} settings - Batch settings
+ * @param {object} media - Probe result (see probeMedia)
+ * @returns {object} Export options
+ */
+export function buildBatchExportOptions(settings, media) {
+    if (!media.duration) {
+        throw new Error('Não foi possível ler a duração do vídeo');
+    }
+    if (!media.hasVideo || !media.width || !media.height) {
+        throw new Error('Arquivo sem faixa de vídeo');
+    }
+
+    // The probed size is before the orientation metadata, which FFmpeg applies first
+    const isQuarterTurn = media.rotation % 180 !== 0;
+    const width = isQuarterTurn ? media.height : media.width;
+    const height = isQuarterTurn ? media.width : media.height;
+    const crop = settings.ratio
+        ? getCenteredCrop(settings.ratio, width, height)
+        : { x: 0, y: 0, width, height };
+    const { start, end } = getBatchTrim(settings, media.duration);
+
+    return {
+        cropX: crop.x,
+        cropY: crop.y,
+        cropWidth: crop.width,
+        cropHeight: crop.height,
+        speed: settings.speed,
+        trimStart: start,
+        trimEnd: end,
+        segments: [{ start, end, speed: settings.speed }],
+        format: settings.format,
+        quality: settings.quality,
+        mediaInfo: media,
+    };
+}
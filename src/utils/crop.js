@@ -0,0 +1,38 @@
+// Crop ratio presets (width / height, null = full frame)
+export const ASPECT_RATIOS = [
+    { label: 'Original', value: null },
+    { label: '1:1', value: 1 },
+    { label: '16:9', value: 16 / 9 },
+    { label: '9:16', value: 9 / 16 },
+    { label: '4:3', value: 4 / 3 },
+    { label: '3:4', value: 3 / 4 },
+];
+
+/**
+ * Largest crop with the given aspect ratio, centered in the frame
+ * @param {number} ratio - Width / height
+ * @param {number} frameWidth - Frame width in pixels
+ * @param {number} frameHeight - Frame height in pixels
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+export function getCenteredCrop(ratio, frameWidth, frameHeight) {
+    const frameRatio = frameWidth / frameHeight;
+
+    let width, height;
+    if (ratio > frameRatio) {
+        // Target is wider, fit to width
+        width = frameWidth;
+        height = frameWidth / ratio;
+    } else {
+        // Target is taller, fit to height
+        height = frameHeight;
+        width = frameHeight * ratio;
+    }
+
+    return {
+        x: (frameWidth - width) / 2,
+        y: (frameHeight - height) / 2,
+        width,
+        height
+    };
+}
@@ -0,0 +1,30 @@
+/**
+ * Initial edit state - everything the user can change about the output.
+ * Kept in a single object so it can be tracked by the undo history.
+ */
+export const INITIAL_EDIT = {
+    cropArea: { x: 0, y: 0, width: 0, height: 0 },
+    selectedRatio: null,
+    // Rotation (clockwise) and flips, applied before the crop - see utils/transform.js
+    transform: { rotation: 0, flipH: false, flipV: false },
+    speed: 1,
+    // Timelapse replaces the global speed with 8x-100x and drops audio unless kept
+    timelapse: { enabled: false, speed: 10, keepAudio: false },
+    trimStart: 0,
+    trimEnd: 0,
+    removedRanges: [],
+    // Ranges rendered at their own speed instead of the global one
+    speedRanges: [],
+    // Gain in dB; fades in output seconds from the trim edges
+    audio: { muted: false, gain: 0, fadeIn: 0, fadeOut: 0 },
+    // 'normal' | 'reverse' | 'boomerang' (forward, then backward)
+    playback: { mode: 'normal', dropAudio: false },
+    // Captions burned in with drawtext - see utils/textOverlay.js
+    textOverlays: [],
+    // Imported SRT/WebVTT file { name, cues } - cues in source seconds, see utils/subtitles.js
+    subtitles: null,
+    // Output size for MP4/WebM - 'source', a preset key or 'custom' - see utils/outputSize.js
+    outputSize: { preset: 'source', width: 0, height: 0 },
+    // Logo composited after the crop - see utils/watermark.js
+    watermark: null,
+};
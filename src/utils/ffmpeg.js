@@ -1,32 +1,176 @@
 import { FFmpeg } from '@ffmpeg/ffmpeg';
 import { fetchFile, toBlobURL } from '@ffmpeg/util';
+import bundledCoreURL from '@ffmpeg/core?url';
+import bundledWasmURL from '@ffmpeg/core/wasm?url';
+import bundledMtCoreURL from '@ffmpeg/core-mt?url';
+import bundledMtWasmURL from '@ffmpeg/core-mt/wasm?url';
+import bundledMtWorkerURL from '@ffmpeg/core-mt/worker?url';
+import { buildAudioFilters } from './audio';
+import { getOutputOffset, getSegmentsDuration } from './segments';
+import { buildDrawtextFilter, getTextFileName, OVERLAY_FONT_FILE, OVERLAY_FONT_URL } from './textOverlay';
+import { buildSubtitlesFilter, retimeCues, toSrt, SUBTITLE_FILE, SUBTITLE_FONTS_DIR } from './subtitles';
+import { buildWatermarkFilters, getWatermarkRect, WATERMARK_FILE } from './watermark';
+import { buildTransformFilters, getTransformedSize, IDENTITY_TRANSFORM } from './transform';
+import { buildScaleFilters, getOutputDimensions } from './outputSize';
+
+// ffmpeg-core.js/.wasm are served from the app's own build output by default.
+// Set VITE_FFMPEG_CORE_URL (single-threaded) and VITE_FFMPEG_CORE_MT_URL
+// (multi-threaded, also serving ffmpeg-core.worker.js) to load them from another
+// location (a mirror or CDN) that serves the files under the same base URL.
+const CORE_BASE_URL = import.meta.env.VITE_FFMPEG_CORE_URL || null;
+const CORE_MT_BASE_URL = import.meta.env.VITE_FFMPEG_CORE_MT_URL || null;
+
+const THREADS_STORAGE_KEY = 'cortador:ffmpegThreads';
+
+// Upper bound for the thread setting - more threads mostly add memory pressure
+export const MAX_THREADS = Math.max(1, Math.min(navigator.hardwareConcurrency || 4, 8));
+const DEFAULT_THREADS = Math.min(MAX_THREADS, 4);
+
+/**
+ * Thrown when the FFmpeg core can't be downloaded or instantiated
+ */
+export class FFmpegLoadError extends Error {
+  constructor(message, cause) {
+    super(message);
+    this.name = 'FFmpegLoadError';
+    this.cause = cause;
+  }
+}
 
 let ffmpeg = null;
 let loaded = false;
+let loadPromise = null;
+let progressHandler = null;
+let multiThreaded = false;
+let overlayFontData = null;
+// Tail of the job queue - see runExclusive
+let jobQueue = Promise.resolve();
+// Counter for the WORKERFS mount points - see mountInput
+let mountCount = 0;
 
-export async function initFFmpeg(onProgress) {
-  if (loaded) return ffmpeg;
+/**
+ * The multi-threaded core needs SharedArrayBuffer, which browsers only expose
+ * to cross-origin isolated pages (COOP/COEP headers, see vite.config.js)
+ */
+export function supportsMultiThread() {
+  return window.crossOriginIsolated === true && typeof SharedArrayBuffer !== 'undefined';
+}
+
+/**
+ * Thread count used for encoding with the multi-threaded core (saved per browser)
+ */
+export function getThreadCount() {
+  const stored = parseInt(localStorage.getItem(THREADS_STORAGE_KEY), 10);
+  if (isNaN(stored)) return DEFAULT_THREADS;
+  return Math.max(1, Math.min(MAX_THREADS, stored));
+}
+
+export function setThreadCount(count) {
+  localStorage.setItem(THREADS_STORAGE_KEY, String(count));
+}
+
+function getCoreURLs(useMultiThread) {
+  const baseURL = useMultiThread ? CORE_MT_BASE_URL : CORE_BASE_URL;
+
+  if (baseURL) {
+    const base = baseURL.replace(/\/$/, '');
+    return {
+      coreURL: `${base}/ffmpeg-core.js`,
+      wasmURL: `${base}/ffmpeg-core.wasm`,
+      workerURL: useMultiThread ? `${base}/ffmpeg-core.worker.js` : null,
+    };
+  }
+
+  if (useMultiThread) {
+    return { coreURL: bundledMtCoreURL, wasmURL: bundledMtWasmURL, workerURL: bundledMtWorkerURL };
+  }
+  return { coreURL: bundledCoreURL, wasmURL: bundledWasmURL, workerURL: null };
+}
 
-  ffmpeg = new FFmpeg();
+async function loadCore(instance, useMultiThread) {
+  const { coreURL, wasmURL, workerURL } = getCoreURLs(useMultiThread);
 
-  ffmpeg.on('progress', ({ progress }) => {
-    if (onProgress) {
-      onProgress(Math.round(progress * 100));
+  const config = {
+    coreURL: await toBlobURL(coreURL, 'text/javascript'),
+    wasmURL: await toBlobURL(wasmURL, 'application/wasm'),
+  };
+  if (workerURL) {
+    config.workerURL = await toBlobURL(workerURL, 'text/javascript');
+  }
+
+  await instance.load(config);
+}
+
+async function loadFFmpeg() {
+  let instance = new FFmpeg();
+
+  // Progress goes to whichever export is currently running
+  const handleProgress = ({ progress }) => {
+    if (progressHandler) {
+      progressHandler(Math.round(progress * 100));
     }
-  });
+  };
+  instance.on('progress', handleProgress);
 
-  // Load FFmpeg WASM
-  const baseURL = 'https://unpkg.com/@ffmpeg/core@0.12.6/dist/esm';
+  // Load FFmpeg WASM - multi-threaded when the page allows it
+  multiThreaded = false;
+  if (supportsMultiThread()) {
+    try {
+      await loadCore(instance, true);
+      multiThreaded = true;
+    } catch (err) {
+      console.warn('Multi-threaded FFmpeg failed to load, falling back to single-threaded:', err);
+      instance.terminate();
+      instance = new FFmpeg();
+      instance.on('progress', handleProgress);
+    }
+  }
 
-  await ffmpeg.load({
-    coreURL: await toBlobURL(`${baseURL}/ffmpeg-core.js`, 'text/javascript'),
-    wasmURL: await toBlobURL(`${baseURL}/ffmpeg-core.wasm`, 'application/wasm'),
-  });
+  if (!multiThreaded) {
+    await loadCore(instance, false);
+  }
 
+  ffmpeg = instance;
   loaded = true;
-  return ffmpeg;
+  return instance;
+}
+
+// Load the core once and share the instance between exports
+export async function initFFmpeg(onProgress) {
+  // Background jobs (keyframes, waveform) pass no handler and keep the export's
+  if (onProgress) {
+    progressHandler = onProgress;
+  }
+  if (loaded) return ffmpeg;
+
+  if (!loadPromise) {
+    loadPromise = loadFFmpeg().catch((err) => {
+      // Allow a later export to retry
+      loadPromise = null;
+      console.error('FFmpeg load failed:', err);
+      throw new FFmpegLoadError('Não foi possível carregar o FFmpeg', err);
+    });
+  }
+
+  return loadPromise;
 }
 
+// Output formats - `kind` selects how processVideo builds the encoder args
+export const OUTPUT_FORMATS = {
+  mp4: { label: 'MP4', extension: 'mp4', mimeType: 'video/mp4', kind: 'video' },
+  webm: { label: 'WebM', extension: 'webm', mimeType: 'video/webm', kind: 'video' },
+  gif: { label: 'GIF', extension: 'gif', mimeType: 'image/gif', kind: 'animation' },
+  webp: { label: 'WebP', extension: 'webp', mimeType: 'image/webp', kind: 'animation' },
+  apng: { label: 'APNG', extension: 'png', mimeType: 'image/apng', kind: 'animation' },
+  mp3: { label: 'MP3', extension: 'mp3', mimeType: 'audio/mpeg', kind: 'audio' },
+  wav: { label: 'WAV', extension: 'wav', mimeType: 'audio/wav', kind: 'audio' },
+  m4a: { label: 'M4A', extension: 'm4a', mimeType: 'audio/mp4', kind: 'audio' },
+};
+
+// Audio-only export options
+export const AUDIO_BITRATES = ['96k', '128k', '192k', '320k'];
+export const AUDIO_SAMPLE_RATES = [44100, 48000];
+
 // Quality presets for video
 const VIDEO_QUALITY = {
   low: { crf: 28, preset: 'fast' },
@@ -34,6 +178,34 @@ const VIDEO_QUALITY = {
   high: { crf: 18, preset: 'slow' },
 };
 
+// AAC bitrate of MP4 exports (bits/s)
+const MP4_AUDIO_BITRATE = 128000;
+
+// Target size exports: formats that support it, share of the budget left for
+// the container and rate control misses, and the lowest useful video bitrate
+export const TARGET_SIZE_FORMATS = ['mp4', 'gif'];
+const TARGET_SIZE_HEADROOM = 0.95;
+const MIN_TARGET_VIDEO_BITRATE = 100000;
+
+// Two-pass stats file prefix (libx264 appends "-0.log" and "-0.log.mbtree")
+const PASSLOG_NAME = 'ffpass';
+const PASSLOG_FILES = [`${PASSLOG_NAME}-0.log`, `${PASSLOG_NAME}-0.log.mbtree`];
+
+// Target size MP4: second passes run before giving up on an overshoot
+const TWO_PASS_ATTEMPTS = 3;
+
+// GIF target size: attempts, and how far fps and width may drop
+const GIF_SIZE_ATTEMPTS = 5;
+const MIN_GIF_WIDTH = 120;
+const MIN_GIF_FPS = 5;
+
+// Quality presets for WebM (VP9 constant quality + Opus)
+const WEBM_QUALITY = {
+  low: { crf: 40, cpuUsed: 5, audioBitrate: '96k' },
+  medium: { crf: 33, cpuUsed: 4, audioBitrate: '128k' },
+  high: { crf: 28, cpuUsed: 2, audioBitrate: '160k' },
+};
+
 // Quality presets for GIF (fps and scale)
 const GIF_QUALITY = {
   low: { fps: 10, scale: 320 },
@@ -41,7 +213,287 @@ const GIF_QUALITY = {
   high: { fps: 24, scale: 640 },
 };
 
-export async function processVideo(file, options, onProgress) {
+// Quality presets for animated WebP (fps, max width and lossy quality 0-100)
+const WEBP_QUALITY = {
+  low: { fps: 12, scale: 480, quality: 60, lossless: false },
+  medium: { fps: 15, scale: 640, quality: 75, lossless: false },
+  high: { fps: 24, scale: 960, quality: 90, lossless: false },
+};
+
+// Quality presets for APNG (always lossless - fps and max width set the size)
+const APNG_QUALITY = {
+  low: { fps: 10, scale: 320 },
+  medium: { fps: 15, scale: 480 },
+  high: { fps: 24, scale: 640 },
+};
+
+const ANIMATION_QUALITY = {
+  gif: GIF_QUALITY,
+  webp: WEBP_QUALITY,
+  apng: APNG_QUALITY,
+};
+
+// Loop flags per format. `loopCount` is the number of plays (0 = forever);
+// GIF counts repeats after the first play and uses -1 for "play once".
+function getLoopArgs(format, loopCount) {
+  if (format === 'gif') {
+    return ['-loop', String(loopCount === 0 ? 0 : loopCount === 1 ? -1 : loopCount - 1)];
+  }
+  if (format === 'webp') {
+    return ['-loop', String(loopCount)];
+  }
+  return ['-plays', String(loopCount)];
+}
+
+/**
+ * Speeds from here on pick frames with framestep before retiming, so the
+ * rest of the chain and the encoder only see the frames that are kept
+ */
+export const TIMELAPSE_MIN_SPEED = 8;
+
+// Build the atempo chain for a speed factor (atempo only accepts 0.5x-2x per instance)
+function buildAtempoFilters(speed) {
+  if (speed >= 0.5 && speed <= 2.0) {
+    return [`atempo=${speed}`];
+  }
+
+  const atempoFilters = [];
+  if (speed > 2.0) {
+    const atempoCount = Math.ceil(Math.log(speed) / Math.log(2));
+    let remainingSpeed = speed;
+    for (let i = 0; i < atempoCount; i++) {
+      const thisSpeed = Math.min(2.0, remainingSpeed);
+      atempoFilters.push(`atempo=${thisSpeed}`);
+      remainingSpeed /= thisSpeed;
+    }
+  } else {
+    const atempoCount = Math.ceil(Math.log(1 / speed) / Math.log(2));
+    let remainingSpeed = speed;
+    for (let i = 0; i < atempoCount; i++) {
+      const thisSpeed = Math.max(0.5, remainingSpeed);
+      atempoFilters.push(`atempo=${thisSpeed}`);
+      remainingSpeed /= thisSpeed;
+    }
+  }
+  return atempoFilters;
+}
+
+// Trim filter for one segment (end may be null to keep until the end of the input)
+function buildTrimFilter(name, { start, end }) {
+  const params = [`start=${start.toFixed(3)}`];
+  if (end !== null && end > 0) {
+    params.push(`end=${end.toFixed(3)}`);
+  }
+  return `${name}=${params.join(':')}`;
+}
+
+/**
+ * Build the filter graph that cuts the input into segments and joins them back.
+ * Each segment gets its own trim/atrim pair so audio stays in sync after concat,
+ * and is rendered at `segment.speed` when set (speed ranges), else at `speed`.
+ * `sourceFps` (when probed) lets timelapse segments drop frames with framestep.
+ * Returns the graph chains plus the labels holding the joined video/audio.
+ */
+function buildSegmentGraph(segments, { speed, sourceFps = null, withVideo = true, withAudio }) {
+  const graph = [];
+
+  const segmentVideoFilters = (segment) => {
+    const segmentSpeed = segment.speed ?? speed;
+    const filters = [];
+    if (segment.start > 0 || segment.end !== null) {
+      filters.push(buildTrimFilter('trim', segment));
+      filters.push('setpts=PTS-STARTPTS'); // Reset timestamps after trim
+    }
+    // Timelapse: keep one frame per step, their spacing then matches the source rate
+    const isTimelapse = !!sourceFps && segmentSpeed >= TIMELAPSE_MIN_SPEED;
+    if (isTimelapse) {
+      filters.push(`framestep=${Math.round(segmentSpeed)}`);
+    }
+    // Speed adjustment (after trim)
+    if (segmentSpeed !== 1) {
+      filters.push(`setpts=${(1 / segmentSpeed).toFixed(4)}*PTS`);
+    }
+    // framestep also divides the stream rate, which the encoder would resample to
+    if (isTimelapse) {
+      filters.push(`fps=${sourceFps}`);
+    }
+    return filters.length > 0 ? filters.join(',') : 'null';
+  };
+
+  const segmentAudioFilters = (segment) => {
+    const segmentSpeed = segment.speed ?? speed;
+    const filters = [];
+    if (segment.start > 0 || segment.end !== null) {
+      filters.push(buildTrimFilter('atrim', segment));
+      filters.push('asetpts=PTS-STARTPTS');
+    }
+    if (segmentSpeed !== 1) {
+      filters.push(...buildAtempoFilters(segmentSpeed));
+    }
+    return filters.length > 0 ? filters.join(',') : 'anull';
+  };
+
+  // Single segment - no need to split and concat
+  if (segments.length === 1) {
+    if (withVideo) {
+      graph.push(`[0:v]${segmentVideoFilters(segments[0])}[vseg]`);
+    }
+    if (withAudio) {
+      graph.push(`[0:a]${segmentAudioFilters(segments[0])}[aseg]`);
+    }
+    return {
+      graph,
+      videoLabel: withVideo ? '[vseg]' : null,
+      audioLabel: withAudio ? '[aseg]' : null,
+    };
+  }
+
+  const count = segments.length;
+  if (withVideo) {
+    graph.push(`[0:v]split=${count}${segments.map((_, i) => `[vin${i}]`).join('')}`);
+  }
+  if (withAudio) {
+    graph.push(`[0:a]asplit=${count}${segments.map((_, i) => `[ain${i}]`).join('')}`);
+  }
+
+  segments.forEach((segment, i) => {
+    if (withVideo) {
+      graph.push(`[vin${i}]${segmentVideoFilters(segment)}[v${i}]`);
+    }
+    if (withAudio) {
+      graph.push(`[ain${i}]${segmentAudioFilters(segment)}[a${i}]`);
+    }
+  });
+
+  const concatInputs = segments
+    .map((_, i) => `${withVideo ? `[v${i}]` : ''}${withAudio ? `[a${i}]` : ''}`)
+    .join('');
+  const concatOutputs = `${withVideo ? '[vcat]' : ''}${withAudio ? '[acat]' : ''}`;
+  graph.push(`${concatInputs}concat=n=${count}:v=${withVideo ? 1 : 0}:a=${withAudio ? 1 : 0}${concatOutputs}`);
+
+  return {
+    graph,
+    videoLabel: withVideo ? '[vcat]' : null,
+    audioLabel: withAudio ? '[acat]' : null,
+  };
+}
+
+// `reverse` holds every decoded frame of the clip in wasm memory (yuv420p: 1.5
+// bytes per pixel), so MP4/WebM reverse/boomerang exports are capped to this
+const REVERSE_MEMORY_BUDGET = 1024 * 1024 * 1024;
+const DEFAULT_REVERSE_FPS = 30;
+
+/**
+ * Why an MP4/WebM reverse/boomerang export can't buffer the clip, or null when it fits
+ * @param {{width: number, height: number, fps: number|null, duration: number}} clip - Frame size
+ *   at the reverse filter, source frame rate and kept source seconds (speed changes keep every frame)
+ * @returns {string|null} Message for the user
+ */
+export function getReverseLimitMessage({ width, height, fps, duration }) {
+  const maxDuration = REVERSE_MEMORY_BUDGET / (width * height * 1.5 * (fps || DEFAULT_REVERSE_FPS));
+  if (!width || !height || duration <= maxDuration) return null;
+  return `Reverso e boomerang em ${width}x${height} aceitam até ${maxDuration.toFixed(1)} s de vídeo `
+    + `(o trecho tem ${duration.toFixed(1)} s) - corte um trecho menor ou reduza a resolução`;
+}
+
+/**
+ * Reverse a joined stream, or append a reversed copy to it (boomerang).
+ * `reverse` buffers the whole clip in memory, so video should go through it
+ * after crop/scale. Returns the label holding the result.
+ */
+function buildPlaybackChain(graph, label, mode, type) {
+  if (mode !== 'reverse' && mode !== 'boomerang') return label;
+
+  const isAudio = type === 'audio';
+  const prefix = isAudio ? 'a' : 'v';
+  const reverse = isAudio ? 'areverse' : 'reverse';
+
+  if (mode === 'reverse') {
+    graph.push(`${label}${reverse}[${prefix}rev]`);
+    return `[${prefix}rev]`;
+  }
+
+  graph.push(
+    `${label}${isAudio ? 'asplit' : 'split'}[${prefix}fwd][${prefix}back]`,
+    `[${prefix}back]${reverse}[${prefix}rev]`,
+    `[${prefix}fwd][${prefix}rev]concat=n=2:v=${isAudio ? 0 : 1}:a=${isAudio ? 1 : 0}[${prefix}boom]`
+  );
+  return `[${prefix}boom]`;
+}
+
+// Encoder settings for the audio-only formats
+function getAudioEncoderArgs(format, bitrate) {
+  if (format === 'wav') {
+    return ['-c:a', 'pcm_s16le'];
+  }
+  if (format === 'm4a') {
+    return ['-c:a', 'aac', '-b:a', bitrate, '-movflags', '+faststart'];
+  }
+  return ['-c:a', 'libmp3lame', '-b:a', bitrate];
+}
+
+/**
+ * Video bitrate that keeps an export under a target size
+ * @param {number} targetSize - Target size in bytes
+ * @param {number} duration - Output duration in seconds
+ * @param {number} audioBitrate - Audio bitrate in bits/s (0 without audio)
+ * @returns {number} Video bitrate in bits/s
+ */
+export function getTargetVideoBitrate(targetSize, duration, audioBitrate) {
+  const videoBitrate = (targetSize * 8 * TARGET_SIZE_HEADROOM) / duration - audioBitrate;
+  if (videoBitrate < MIN_TARGET_VIDEO_BITRATE) {
+    throw new Error('Tamanho alvo pequeno demais para a duração do vídeo - aumente o tamanho ou corte mais');
+  }
+  return Math.floor(videoBitrate);
+}
+
+// Encoder settings for the video formats (audio is skipped for silent inputs).
+// With `videoBitrate` MP4 encodes to a bitrate instead of CRF, as `pass` 1 or 2
+// of a two-pass encode when given.
+function getVideoEncoderArgs(format, quality, { withAudio = true, videoBitrate = null, pass = null } = {}) {
+  if (format === 'webm') {
+    const webmSettings = WEBM_QUALITY[quality] || WEBM_QUALITY.medium;
+    const audioArgs = withAudio ? ['-c:a', 'libopus', '-b:a', webmSettings.audioBitrate] : ['-an'];
+    return [
+      '-c:v', 'libvpx-vp9',
+      '-crf', String(webmSettings.crf),
+      '-b:v', '0', // Constant quality mode
+      '-deadline', 'good',
+      '-cpu-used', String(webmSettings.cpuUsed),
+      '-row-mt', '1',
+      '-pix_fmt', 'yuv420p',
+      ...audioArgs,
+    ];
+  }
+
+  // Output settings for MP4
+  const videoSettings = VIDEO_QUALITY[quality] || VIDEO_QUALITY.medium;
+  const rateArgs = videoBitrate
+    ? ['-b:v', `${Math.round(videoBitrate / 1000)}k`, ...(pass ? ['-pass', String(pass), '-passlogfile', PASSLOG_NAME] : [])]
+    : ['-crf', String(videoSettings.crf)];
+  return [
+    '-c:v', 'libx264',
+    '-preset', videoSettings.preset,
+    ...rateArgs,
+    ...(withAudio ? ['-c:a', 'aac', '-b:a', `${MP4_AUDIO_BITRATE / 1000}k`] : ['-an']),
+    '-movflags', '+faststart',
+  ];
+}
+
+// Kept segments with their speed - the timeline overlays and subtitles are mapped onto
+function getTimedSegments({ segments = null, trimStart = 0, trimEnd = null, speed = 1 }) {
+  const keepSegments = segments || [{ start: trimStart, end: trimEnd }];
+  return keepSegments.map(segment => ({ ...segment, speed: segment.speed ?? speed }));
+}
+
+// Subtitles can only go in a separate track for MP4 (mov_text) and when the
+// output runs forward - reversed output gets them burned in
+function usesSoftSubtitles({ format = 'mp4', subtitleMode = 'burn', playback = null }) {
+  return subtitleMode === 'soft' && format === 'mp4' && (playback?.mode || 'normal') === 'normal';
+}
+
+// Build the ffmpeg arguments for one export (filters + encoder settings)
+function buildExportArgs(inputName, outputName, options) {
   const {
     cropX = 0,
     cropY = 0,
@@ -50,143 +502,772 @@ export async function processVideo(file, options, onProgress) {
     speed = 1,
     trimStart = 0,
     trimEnd = null,
+    segments = null,
     format = 'mp4',
     quality = 'medium',
+    loopCount = 0,
+    audioBitrate = '192k',
+    sampleRate = null,
+    mediaInfo = null,
+    audio = null,
+    playback = null,
+    timelapse = null,
+    textOverlays = [],
+    subtitles = null,
+    watermark = null,
+    transform = IDENTITY_TRANSFORM,
+    outputSize = null,
+    targetSize = null,
+    pass = null,
+    animationOverride = null,
   } = options;
 
-  const ff = await initFFmpeg(onProgress);
+  const isAnimation = OUTPUT_FORMATS[format]?.kind === 'animation';
+  const isAudioOnly = OUTPUT_FORMATS[format]?.kind === 'audio';
+  // Without probe info leave the audio out - mapping a missing [0:a] fails the whole export
+  const hasAudio = mediaInfo ? mediaInfo.hasAudio : false;
+  const isMuted = !!audio?.muted;
+  const playbackMode = playback?.mode || 'normal';
+  // Reversed speech is rarely wanted in a video, so it can be dropped (audio-only formats keep it)
+  const dropsReversedAudio = playbackMode !== 'normal' && !!playback?.dropAudio;
+  // Timelapse audio is dropped unless asked for
+  const dropsTimelapseAudio = !!timelapse?.enabled && !timelapse.keepAudio;
+  const dropsAudio = (dropsReversedAudio || dropsTimelapseAudio) && !isAudioOnly;
 
-  // Write input file
-  const inputName = 'input' + getExtension(file.name);
-  const isGif = format === 'gif';
-  const outputName = isGif ? 'output.gif' : 'output.mp4';
+  // Segments to keep - fall back to the single trim window
+  const keepSegments = segments || [{ start: trimStart, end: trimEnd }];
 
-  await ff.writeFile(inputName, await fetchFile(file));
+  // Cut and join segments first, then apply the remaining filters to the joined stream
+  const { graph, videoLabel: joinedVideoLabel, audioLabel: joinedAudioLabel } = buildSegmentGraph(keepSegments, {
+    speed,
+    sourceFps: mediaInfo?.fps ?? null,
+    withVideo: !isAudioOnly,
+    withAudio: !isAnimation && hasAudio && !isMuted && !dropsAudio,
+  });
 
-  // Build FFmpeg command - use output seeking for accuracy with filters
+  // Gain and fades run on the joined (and reversed) audio, so the fades line up with the output edges
+  let audioLabel = joinedAudioLabel && buildPlaybackChain(graph, joinedAudioLabel, playbackMode, 'audio');
+  const joinedDuration = keepSegments.every(segment => segment.end !== null)
+    ? keepSegments.reduce((total, segment) => total + (segment.end - segment.start) / (segment.speed ?? speed), 0)
+    : null;
+  const outputDuration = joinedDuration !== null && playbackMode === 'boomerang'
+    ? joinedDuration * 2
+    : joinedDuration;
+  const audioFilters = audio && audioLabel ? buildAudioFilters(audio, outputDuration) : [];
+  if (audioFilters.length > 0) {
+    graph.push(`${audioLabel}${audioFilters.join(',')}[aout]`);
+    audioLabel = '[aout]';
+  }
   const videoFilters = [];
-  const audioFilters = [];
   const args = ['-i', inputName];
+  let videoLabel = joinedVideoLabel;
 
-  // Add trim filter for precise cutting (works with other filters)
-  const hasTrim = trimStart > 0 || (trimEnd !== null && trimEnd > 0);
-  if (hasTrim) {
-    videoFilters.push(`trim=start=${trimStart.toFixed(3)}:end=${trimEnd.toFixed(3)}`);
-    videoFilters.push('setpts=PTS-STARTPTS'); // Reset timestamps after trim
-
-    if (!isGif) {
-      audioFilters.push(`atrim=start=${trimStart.toFixed(3)}:end=${trimEnd.toFixed(3)}`);
-      audioFilters.push('asetpts=PTS-STARTPTS');
-    }
-  }
-
-  // Speed adjustment (after trim)
-  if (speed !== 1) {
-    videoFilters.push(`setpts=${(1 / speed).toFixed(4)}*PTS`);
-
-    if (!isGif) {
-      let audioFilter = '';
-      if (speed >= 0.5 && speed <= 2.0) {
-        audioFilter = `atempo=${speed}`;
-      } else if (speed > 2.0) {
-        const atempoCount = Math.ceil(Math.log(speed) / Math.log(2));
-        const atempoFiltersArr = [];
-        let remainingSpeed = speed;
-        for (let i = 0; i < atempoCount; i++) {
-          const thisSpeed = Math.min(2.0, remainingSpeed);
-          atempoFiltersArr.push(`atempo=${thisSpeed}`);
-          remainingSpeed /= thisSpeed;
-        }
-        audioFilter = atempoFiltersArr.join(',');
-      } else {
-        const atempoCount = Math.ceil(Math.log(1 / speed) / Math.log(2));
-        const atempoFiltersArr = [];
-        let remainingSpeed = speed;
-        for (let i = 0; i < atempoCount; i++) {
-          const thisSpeed = Math.max(0.5, remainingSpeed);
-          atempoFiltersArr.push(`atempo=${thisSpeed}`);
-          remainingSpeed /= thisSpeed;
-        }
-        audioFilter = atempoFiltersArr.join(',');
-      }
-      if (audioFilter) {
-        audioFilters.push(audioFilter);
-      }
-    }
+  // The watermark is read as a still image and repeated over the whole output.
+  // The probe gives the coded size - FFmpeg applies the orientation metadata
+  // (autorotate) before the user's transform.
+  const displayFrame = mediaInfo && getTransformedSize(mediaInfo.width, mediaInfo.height, { rotation: mediaInfo.rotation });
+  const sourceFrame = mediaInfo ? getTransformedSize(displayFrame.width, displayFrame.height, transform) : {};
+  const frameWidth = cropWidth ? Math.round(cropWidth) : sourceFrame.width;
+  const frameHeight = cropHeight ? Math.round(cropHeight) : sourceFrame.height;
+  const hasWatermark = !!watermark && !isAudioOnly && !!frameWidth && !!frameHeight;
+  if (hasWatermark) {
+    args.push('-i', WATERMARK_FILE);
+  }
+
+  const timedSegments = getTimedSegments(options);
+  const subtitleCues = subtitles && !isAudioOnly ? retimeCues(subtitles.cues, timedSegments) : [];
+  const softSubtitles = subtitleCues.length > 0 && usesSoftSubtitles(options);
+  const subtitleInput = hasWatermark ? 2 : 1;
+  if (softSubtitles) {
+    args.push('-i', SUBTITLE_FILE);
   }
 
+  // Encoder threads (the single-threaded core ignores anything but 1)
+  const threadArgs = multiThreaded ? ['-threads', String(getThreadCount())] : [];
+
+  // Rotate/flip first - the crop is given in the transformed frame
+  videoFilters.push(...buildTransformFilters(transform));
+
   // Crop (after speed)
   if (cropWidth && cropHeight) {
     videoFilters.push(`crop=${Math.round(cropWidth)}:${Math.round(cropHeight)}:${Math.round(cropX)}:${Math.round(cropY)}`);
   }
 
-  if (isGif) {
-    // GIF-specific processing
-    const gifSettings = GIF_QUALITY[quality] || GIF_QUALITY.medium;
+  // Watermark (composited on the cropped frame, under the text overlays)
+  if (hasWatermark) {
+    const rect = getWatermarkRect(watermark, { x: 0, y: 0, width: frameWidth, height: frameHeight });
+    const { imageFilter, overlayFilter } = buildWatermarkFilters(watermark, rect);
+    graph.push(
+      `${videoLabel}${videoFilters.length > 0 ? videoFilters.join(',') : 'null'}[vbase]`,
+      `[1:v]${imageFilter}[wm]`,
+      `[vbase][wm]${overlayFilter}[vmark]`
+    );
+    videoFilters.length = 0;
+    videoLabel = '[vmark]';
+  }
+
+  // Text overlays (after crop, before any scaling, like the preview)
+  textOverlays.forEach((overlay, index) => {
+    const start = getOutputOffset(timedSegments, overlay.start);
+    const end = getOutputOffset(timedSegments, overlay.end);
+    if (!overlay.text.trim() || end <= start) return;
+
+    videoFilters.push(buildDrawtextFilter(overlay, index, { offsetX: cropX, offsetY: cropY, start, end }));
+  });
+
+  // Burned-in subtitles sit on top of the text overlays
+  if (subtitleCues.length > 0 && !softSubtitles) {
+    videoFilters.push(buildSubtitlesFilter());
+  }
+
+  if (isAudioOnly) {
+    // Audio-only processing (MP3/WAV/M4A) - the video stream is dropped
+    args.push('-filter_complex', graph.join(';'), '-map', audioLabel, '-vn');
+    args.push(...getAudioEncoderArgs(format, audioBitrate));
+    if (sampleRate) {
+      args.push('-ar', String(sampleRate));
+    }
+    args.push(outputName);
 
-    // Add fps for GIF
-    videoFilters.push(`fps=${gifSettings.fps}`);
+  } else if (isAnimation) {
+    // Animated image processing (GIF/WebP/APNG)
+    const presets = ANIMATION_QUALITY[format];
+    // Target size exports pass their own fps/width (see runAnimationToSize)
+    const animationSettings = { ...(presets[quality] || presets.medium), ...animationOverride };
+
+    // Add fps for the animation
+    videoFilters.push(`fps=${animationSettings.fps}`);
 
     // Scale to max width while maintaining aspect ratio
-    if (cropWidth && cropWidth > gifSettings.scale) {
-      videoFilters.push(`scale=${gifSettings.scale}:-1:flags=lanczos`);
+    if (cropWidth && cropWidth > animationSettings.scale) {
+      videoFilters.push(`scale=${animationSettings.scale}:-1:flags=lanczos`);
     } else if (!cropWidth) {
-      videoFilters.push(`scale='min(${gifSettings.scale},iw)':-1:flags=lanczos`);
+      videoFilters.push(`scale='min(${animationSettings.scale},iw)':-1:flags=lanczos`);
     }
 
-    // Build filter for GIF with palette
-    const baseFilters = videoFilters.join(',');
-    args.push('-filter_complex',
-      `[0:v]${baseFilters},split[s0][s1];[s0]palettegen=max_colors=256:stats_mode=full[p];[s1][p]paletteuse=dither=sierra2_4a`
-    );
+    graph.push(`${videoLabel}${videoFilters.join(',')}[v]`);
+    const animationLabel = buildPlaybackChain(graph, '[v]', playbackMode, 'video');
 
-    // GIF output - loop forever (0 = infinite loop)
-    args.push('-loop', '0');
+    if (format === 'gif') {
+      // Build filter for GIF with palette
+      graph.push(
+        `${animationLabel}split[s0][s1]`,
+        '[s0]palettegen=max_colors=256:stats_mode=full[p]',
+        '[s1][p]paletteuse=dither=sierra2_4a'
+      );
+      args.push('-filter_complex', graph.join(';'));
+    } else {
+      args.push('-filter_complex', graph.join(';'), '-map', animationLabel);
+
+      if (format === 'webp') {
+        args.push(
+          '-c:v', 'libwebp_anim',
+          '-lossless', animationSettings.lossless ? '1' : '0',
+          '-quality', String(animationSettings.quality),
+          '-compression_level', '4'
+        );
+      } else {
+        args.push('-c:v', 'apng', '-pred', 'mixed', '-f', 'apng');
+      }
+    }
+
+    args.push(...getLoopArgs(format, loopCount));
+    args.push(...threadArgs);
     args.push(outputName);
 
   } else {
-    // MP4 processing
-    const videoSettings = VIDEO_QUALITY[quality] || VIDEO_QUALITY.medium;
-
-    // Apply filters using filter_complex for precise control
-    if (videoFilters.length > 0 || audioFilters.length > 0) {
-      if (videoFilters.length > 0 && audioFilters.length > 0) {
-        args.push('-filter_complex',
-          `[0:v]${videoFilters.join(',')}[v];[0:a]${audioFilters.join(',')}[a]`
-        );
-        args.push('-map', '[v]', '-map', '[a]');
-      } else if (videoFilters.length > 0) {
-        args.push('-vf', videoFilters.join(','));
-      } else if (audioFilters.length > 0) {
-        args.push('-af', audioFilters.join(','));
+    // Video processing (MP4/WebM)
+    // Output size - libx264 and yuv420p only take even dimensions
+    const outputDimensions = getOutputDimensions(outputSize, frameWidth, frameHeight);
+    if (outputDimensions) {
+      videoFilters.push(...buildScaleFilters(outputDimensions));
+    } else if (!frameWidth || frameWidth % 2 !== 0 || frameHeight % 2 !== 0) {
+      videoFilters.push('crop=trunc(iw/2)*2:trunc(ih/2)*2:0:0');
+    }
+    if (playbackMode !== 'normal') {
+      const reversedFrame = outputDimensions || { width: frameWidth, height: frameHeight };
+      const reverseLimit = getReverseLimitMessage({
+        ...reversedFrame,
+        fps: mediaInfo?.fps,
+        duration: keepSegments.every(segment => segment.end !== null) ? getSegmentsDuration(keepSegments) : 0,
+      });
+      if (reverseLimit) {
+        throw new Error(reverseLimit);
       }
     }
+    graph.push(`${videoLabel}${videoFilters.length > 0 ? videoFilters.join(',') : 'null'}[v]`);
+    const outputVideoLabel = buildPlaybackChain(graph, '[v]', playbackMode, 'video');
+    args.push('-filter_complex', graph.join(';'));
+    args.push('-map', outputVideoLabel);
+    if (audioLabel) {
+      args.push('-map', audioLabel);
+    }
+    if (softSubtitles) {
+      args.push('-map', `${subtitleInput}:s`, '-c:s', 'mov_text');
+    }
 
-    // Output settings for MP4
+    // Target size: bitrate from the output duration, spread over two passes
+    const videoBitrate = targetSize && format === 'mp4' && outputDuration
+      ? getTargetVideoBitrate(targetSize, outputDuration, audioLabel ? MP4_AUDIO_BITRATE : 0)
+      : null;
+    if (pass && !videoBitrate) {
+      throw new Error('Não foi possível calcular a duração do vídeo - defina o fim do corte para exportar com tamanho alvo');
+    }
     args.push(
-      '-c:v', 'libx264',
-      '-preset', videoSettings.preset,
-      '-crf', String(videoSettings.crf),
-      '-c:a', 'aac',
-      '-b:a', '128k',
-      '-movflags', '+faststart',
-      outputName
+      ...getVideoEncoderArgs(format, quality, { withAudio: !!audioLabel, videoBitrate, pass }),
+      ...threadArgs,
+      // The first pass only writes the stats file
+      ...(videoBitrate && pass === 1 ? ['-f', 'null', '-'] : [outputName])
     );
   }
 
-  console.log('FFmpeg args:', args.join(' '));
+  return args;
+}
 
-  await ff.exec(args);
+function createAbortError() {
+  return new DOMException('Exportação cancelada', 'AbortError');
+}
 
-  // Read output file
-  const data = await ff.readFile(outputName);
+function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    throw createAbortError();
+  }
+}
 
-  // Cleanup
-  await ff.deleteFile(inputName);
-  await ff.deleteFile(outputName);
+// ff.exec can't be interrupted, so cancelling kills the worker (and its MEMFS
+// with it) and loads a fresh core in the background for the next export
+function restartFFmpeg() {
+  if (ffmpeg) {
+    ffmpeg.terminate();
+  }
+  ffmpeg = null;
+  loaded = false;
+  loadPromise = null;
+  initFFmpeg().catch(() => {});
+}
+
+// Best-effort removal of files written to the MEMFS
+async function removeFiles(ff, names) {
+  for (const name of names) {
+    try {
+      await ff.deleteFile(name);
+    } catch {
+      // File was never written
+    }
+  }
+}
+
+// Jobs (probe, keyframes, waveform, exports) run one at a time: they share the
+// MEMFS and the progress handler, and cancelling an export restarts the worker,
+// which must not take a background job down with it. A job whose signal aborts
+// while it waits rejects right away and is skipped when its turn comes.
+function runExclusive(job, signal = null) {
+  const result = jobQueue.then(() => {
+    throwIfAborted(signal);
+    return job();
+  });
+  jobQueue = result.catch(() => {});
 
-  const mimeType = isGif ? 'image/gif' : 'video/mp4';
-  return new Blob([data.buffer], { type: mimeType });
+  if (!signal) return result;
+  const aborted = new Promise((_, reject) => {
+    signal.addEventListener('abort', () => reject(createAbortError()), { once: true });
+  });
+  return Promise.race([result, aborted]);
+}
+
+// Mount a file read-only (WORKERFS) instead of copying it into the MEMFS, so
+// even long uploads are never held in the worker's memory
+async function mountInput(ff, file) {
+  const dir = `/input${mountCount++}`;
+  await ff.createDir(dir);
+  await ff.mount('WORKERFS', { files: [file] }, dir);
+  return { path: `${dir}/${file.name}`, dir };
+}
+
+async function unmountInput(ff, mounted) {
+  if (!mounted) return;
+  try {
+    await ff.unmount(mounted.dir);
+    await ff.deleteDir(mounted.dir);
+  } catch {
+    // Already gone with a restarted worker
+  }
+}
+
+// A background job interrupted by restartFFmpeg is a cancel, not a failure
+function toBackgroundError(ff, err) {
+  return ffmpeg !== ff ? createAbortError() : err;
+}
+
+/**
+ * Lossless cut: copy the streams of each keyframe-aligned segment into its own
+ * file, then join the parts with the concat demuxer. Segment times must already
+ * be snapped to keyframes (see snapSegmentsToKeyframes).
+ * Temporary MEMFS files are added to `tempFiles` so the caller can clean them up.
+ */
+async function runStreamCopy(ff, inputName, outputName, segments, tempFiles, signal) {
+  const ext = getExtension(outputName);
+  const muxerArgs = ext === '.mp4' || ext === '.mov' ? ['-movflags', '+faststart'] : [];
+
+  const copySegment = (segment, name) => ff.exec([
+    '-ss', segment.start.toFixed(3),
+    '-i', inputName,
+    '-t', (segment.end - segment.start).toFixed(3),
+    '-map', '0:v:0',
+    '-map', '0:a?',
+    '-c', 'copy',
+    '-avoid_negative_ts', 'make_zero',
+    ...muxerArgs,
+    name,
+  ]);
+
+  if (segments.length === 1) {
+    await copySegment(segments[0], outputName);
+    return;
+  }
+
+  const partNames = [];
+  for (let i = 0; i < segments.length; i++) {
+    const partName = `part${i}${ext}`;
+    tempFiles.push(partName);
+    partNames.push(partName);
+    await copySegment(segments[i], partName);
+    throwIfAborted(signal);
+  }
+
+  const listName = 'concat.txt';
+  tempFiles.push(listName);
+  await ff.writeFile(listName, partNames.map(name => `file '${name}'`).join('\n'));
+
+  await ff.exec(['-f', 'concat', '-safe', '0', '-i', listName, '-c', 'copy', ...muxerArgs, outputName]);
+}
+
+/**
+ * Run `ffmpeg -i` on a file and collect the log, which lists its streams
+ * (parsed by mediaProbe.js)
+ * @param {File} file - The media file
+ * @returns {Promise<string[]>} Log lines
+ */
+export function readMediaLog(file) {
+  return runExclusive(async () => {
+    const ff = await initFFmpeg();
+    const lines = [];
+    let input = null;
+
+    const handleLog = ({ message }) => {
+      lines.push(...message.split('\n'));
+    };
+
+    ff.on('log', handleLog);
+    try {
+      input = await mountInput(ff, file);
+      // Exits with an error since there is no output file - the log is all we need
+      await ff.exec(['-hide_banner', '-i', input.path]);
+    } catch (err) {
+      throw toBackgroundError(ff, err);
+    } finally {
+      ff.off('log', handleLog);
+      await unmountInput(ff, input);
+    }
+
+    return lines;
+  });
+}
+
+/**
+ * Find the keyframe times of a video. Only keyframes are decoded
+ * (-skip_frame nokey), so this is much faster than a full decode.
+ * @param {File} file - The video file
+ * @returns {Promise<number[]>} Sorted keyframe times in seconds
+ */
+export function getKeyframeTimes(file) {
+  return runExclusive(async () => {
+    const ff = await initFFmpeg();
+    const times = [];
+    let input = null;
+
+    const handleLog = ({ message }) => {
+      const match = message.match(/pts_time:\s*(-?[\d.]+)/);
+      if (match) {
+        times.push(parseFloat(match[1]));
+      }
+    };
+
+    ff.on('log', handleLog);
+    try {
+      input = await mountInput(ff, file);
+      await ff.exec(['-skip_frame', 'nokey', '-i', input.path, '-an', '-vf', 'showinfo', '-f', 'null', '-']);
+    } catch (err) {
+      throw toBackgroundError(ff, err);
+    } finally {
+      ff.off('log', handleLog);
+      await unmountInput(ff, input);
+    }
+
+    return [...new Set(times.filter(time => time >= 0))].sort((a, b) => a - b);
+  });
+}
+
+/**
+ * Decode the audio track to mono 16-bit PCM at a low sample rate.
+ * Runs inside the FFmpeg worker, so long files don't block the UI.
+ * @param {File} file - The media file
+ * @param {number} sampleRate - Output sample rate in Hz
+ * @returns {Promise<Int16Array|null>} Samples, or null when there is no audio track
+ */
+export function extractAudioSamples(file, sampleRate = 8000) {
+  return runExclusive(async () => {
+    const ff = await initFFmpeg();
+    const outputName = 'audio.pcm';
+    let input = null;
+
+    try {
+      input = await mountInput(ff, file);
+      const exitCode = await ff.exec([
+        '-i', input.path,
+        '-vn',
+        '-ac', '1',
+        '-ar', String(sampleRate),
+        '-f', 's16le',
+        outputName,
+      ]);
+      if (exitCode !== 0) return null;
+
+      const data = await ff.readFile(outputName);
+      return new Int16Array(data.buffer, data.byteOffset, Math.floor(data.byteLength / 2));
+    } catch (err) {
+      throw toBackgroundError(ff, err);
+    } finally {
+      await unmountInput(ff, input);
+      await removeFiles(ff, [outputName]);
+    }
+  });
+}
+
+// Bundled font for drawtext and libass (fetched once)
+async function getOverlayFontData() {
+  if (!overlayFontData) {
+    overlayFontData = await fetchFile(OVERLAY_FONT_URL);
+  }
+  // writeFile transfers the buffer to the worker, so always hand out a copy
+  return overlayFontData.slice();
+}
+
+// Write the font and text files read by the drawtext filters
+async function writeTextOverlayFiles(ff, textOverlays, tempFiles) {
+  await ff.writeFile(OVERLAY_FONT_FILE, await getOverlayFontData());
+  tempFiles.push(OVERLAY_FONT_FILE);
+
+  for (let i = 0; i < textOverlays.length; i++) {
+    const name = getTextFileName(i);
+    await ff.writeFile(name, textOverlays[i].text);
+    tempFiles.push(name);
+  }
+}
+
+// Write the retimed subtitle file, plus the font libass needs to burn it in
+async function writeSubtitleFiles(ff, options, tempFiles) {
+  const cues = retimeCues(options.subtitles.cues, getTimedSegments(options));
+  if (cues.length === 0) return;
+
+  await ff.writeFile(SUBTITLE_FILE, toSrt(cues));
+  tempFiles.push(SUBTITLE_FILE);
+
+  if (!usesSoftSubtitles(options)) {
+    try {
+      await ff.createDir(SUBTITLE_FONTS_DIR);
+    } catch {
+      // Left over from an earlier export
+    }
+    const fontName = `${SUBTITLE_FONTS_DIR}/${OVERLAY_FONT_FILE}`;
+    await ff.writeFile(fontName, await getOverlayFontData());
+    tempFiles.push(fontName);
+  }
+}
+
+// Run one step of a multi-step export, reporting its progress within [from, to]
+async function execInProgressRange(ff, args, onProgress, from, to) {
+  progressHandler = onProgress ? (p) => onProgress(Math.round(from + (p * (to - from)) / 100)) : null;
+  try {
+    await ff.exec(args);
+  } finally {
+    progressHandler = onProgress || null;
+  }
+}
+
+// Target size MP4: a stats pass, then the real encode at the computed bitrate.
+// An output over the target is encoded again (reusing the stats) for a smaller size.
+async function runTwoPass(ff, inputName, outputName, options, tempFiles, onProgress, signal) {
+  const { targetSize } = options;
+  tempFiles.push(...PASSLOG_FILES);
+
+  const firstPass = buildExportArgs(inputName, outputName, { ...options, pass: 1 });
+  await execInProgressRange(ff, firstPass, onProgress, 0, 50);
+  throwIfAborted(signal);
+
+  const step = 50 / TWO_PASS_ATTEMPTS;
+  let encodeSize = targetSize;
+  for (let attempt = 0; attempt < TWO_PASS_ATTEMPTS; attempt++) {
+    const secondPass = buildExportArgs(inputName, outputName, { ...options, targetSize: encodeSize, pass: 2 });
+    await execInProgressRange(ff, secondPass, onProgress, 50 + attempt * step, 50 + (attempt + 1) * step);
+    throwIfAborted(signal);
+
+    const size = (await ff.readFile(outputName)).byteLength;
+    if (size <= targetSize) return;
+
+    // Aim the next encode below the overshoot
+    encodeSize = Math.floor((encodeSize * targetSize * TARGET_SIZE_HEADROOM) / size);
+  }
+
+  throw new Error('Não foi possível reduzir o vídeo ao tamanho alvo - aumente o tamanho ou corte mais');
+}
+
+// Target size GIF: encode, then lower fps and width until the file fits
+async function runAnimationToSize(ff, inputName, outputName, options, onProgress, signal) {
+  const { format, quality = 'medium', targetSize, cropWidth = null } = options;
+  const presets = ANIMATION_QUALITY[format];
+  const preset = presets[quality] || presets.medium;
+  let fps = preset.fps;
+  let scale = cropWidth ? Math.min(preset.scale, Math.round(cropWidth)) : preset.scale;
+  const step = 100 / GIF_SIZE_ATTEMPTS;
+
+  for (let attempt = 0; attempt < GIF_SIZE_ATTEMPTS; attempt++) {
+    const args = buildExportArgs(inputName, outputName, { ...options, animationOverride: { fps, scale } });
+    await execInProgressRange(ff, args, onProgress, attempt * step, (attempt + 1) * step);
+    throwIfAborted(signal);
+
+    const size = (await ff.readFile(outputName)).byteLength;
+    if (size <= targetSize) return;
+
+    // Size grows with width² × fps, so each takes the cube root of the reduction
+    const factor = Math.cbrt((targetSize * TARGET_SIZE_HEADROOM) / size);
+    const nextFps = Math.max(MIN_GIF_FPS, Math.floor(fps * factor));
+    const nextScale = Math.max(MIN_GIF_WIDTH, Math.floor((scale * factor) / 2) * 2);
+    if (nextFps === fps && nextScale === scale) break;
+    fps = nextFps;
+    scale = nextScale;
+  }
+
+  throw new Error('Não foi possível reduzir o GIF ao tamanho alvo - exporte um trecho menor');
+}
+
+/**
+ * Export the edited video.
+ * With `options.mode === 'fast'` the segments are cut with stream copy and
+ * keep the source container; otherwise everything is re-encoded.
+ * With `options.targetSize` (bytes) MP4 is encoded in two passes and GIF is
+ * shrunk until it fits (see TARGET_SIZE_FORMATS).
+ * Pass `options.signal` (an AbortSignal) to cancel; the returned promise then
+ * rejects with an AbortError.
+ */
+export function processVideo(file, options, onProgress) {
+  return runExclusive(() => exportVideo(file, options, onProgress), options.signal);
+}
+
+async function exportVideo(file, options, onProgress) {
+  const { segments = null, format = 'mp4', mode = 'reencode', signal = null } = options;
+
+  if (segments && segments.length === 0) {
+    throw new Error('Nenhum trecho para exportar - todo o vídeo foi removido');
+  }
+  if (OUTPUT_FORMATS[format]?.kind === 'audio' && options.mediaInfo && !options.mediaInfo.hasAudio) {
+    throw new Error('Este vídeo não tem faixa de áudio');
+  }
+  if (OUTPUT_FORMATS[format]?.kind === 'audio' && options.audio?.muted) {
+    throw new Error('O áudio está mudo - desative o mudo para exportar só o áudio');
+  }
+
+  throwIfAborted(signal);
+  const ff = await initFFmpeg(onProgress);
+  throwIfAborted(signal);
+
+  let input = null;
+  const isFast = mode === 'fast';
+  const outputFormat = OUTPUT_FORMATS[format] || OUTPUT_FORMATS.mp4;
+  // Stream copy keeps the codecs, so it has to keep the container too
+  const outputName = isFast
+    ? 'output' + getExtension(file.name)
+    : `output.${outputFormat.extension}`;
+  const tempFiles = [];
+
+  const handleAbort = () => restartFFmpeg();
+  signal?.addEventListener('abort', handleAbort, { once: true });
+
+  try {
+    input = await mountInput(ff, file);
+    const inputName = input.path;
+    throwIfAborted(signal);
+
+    if (isFast) {
+      await runStreamCopy(ff, inputName, outputName, segments, tempFiles, signal);
+    } else {
+      if (options.textOverlays?.length > 0) {
+        await writeTextOverlayFiles(ff, options.textOverlays, tempFiles);
+      }
+      if (options.watermark && OUTPUT_FORMATS[format]?.kind !== 'audio') {
+        await ff.writeFile(WATERMARK_FILE, await fetchFile(options.watermark.image.src));
+        tempFiles.push(WATERMARK_FILE);
+      }
+      if (options.subtitles && OUTPUT_FORMATS[format]?.kind !== 'audio') {
+        await writeSubtitleFiles(ff, options, tempFiles);
+      }
+      const isTargetSize = !!options.targetSize && TARGET_SIZE_FORMATS.includes(format);
+      if (isTargetSize && format === 'gif') {
+        await runAnimationToSize(ff, inputName, outputName, options, onProgress, signal);
+      } else if (isTargetSize) {
+        await runTwoPass(ff, inputName, outputName, options, tempFiles, onProgress, signal);
+      } else {
+        const args = buildExportArgs(inputName, outputName, options);
+        console.log('FFmpeg args:', args.join(' '));
+
+        await ff.exec(args);
+      }
+    }
+    throwIfAborted(signal);
+
+    // Read output file
+    const data = await ff.readFile(outputName);
+
+    const mimeType = isFast ? file.type || 'video/mp4' : outputFormat.mimeType;
+    return new Blob([data.buffer], { type: mimeType });
+  } catch (err) {
+    // Calls interrupted by the restart reject with a termination error
+    if (signal?.aborted) {
+      throw createAbortError();
+    }
+    throw err;
+  } finally {
+    signal?.removeEventListener('abort', handleAbort);
+    if (progressHandler === onProgress) {
+      progressHandler = null;
+    }
+    // Cleanup (a restarted worker already discarded its files)
+    if (!signal?.aborted) {
+      await unmountInput(ff, input);
+      await removeFiles(ff, [outputName, ...tempFiles]);
+    }
+  }
+}
+
+// Join clips with the concat filter. Every clip is trimmed, then brought to the
+// sequence format first (size, frame rate, sample rate and stereo), since concat
+// needs all of its inputs to match. Silent clips get a silent track so clips
+// with and without audio can be mixed.
+function buildSequenceArgs(inputNames, clips, outputName, options) {
+  const { format = 'mp4', quality = 'medium', width, height, fps, sampleRate } = options;
+  const withAudio = clips.some(clip => clip.hasAudio);
+  const threadArgs = multiThreaded ? ['-threads', String(getThreadCount())] : [];
+  const filters = [];
+  const concatInputs = [];
+
+  clips.forEach((clip, i) => {
+    const start = clip.trimStart.toFixed(3);
+    const end = clip.trimEnd.toFixed(3);
+    const videoFilters = [
+      `trim=start=${start}:end=${end}`,
+      'setpts=PTS-STARTPTS',
+      ...buildScaleFilters({ width, height, fit: true }),
+      `fps=${fps}`,
+      'format=yuv420p',
+    ];
+    filters.push(`[${i}:v]${videoFilters.join(',')}[v${i}]`);
+    concatInputs.push(`[v${i}]`);
+
+    if (!withAudio) return;
+    const audioFormat = `aresample=${sampleRate},aformat=sample_fmts=fltp:channel_layouts=stereo`;
+    filters.push(clip.hasAudio
+      ? `[${i}:a]atrim=start=${start}:end=${end},asetpts=PTS-STARTPTS,${audioFormat}[a${i}]`
+      : `anullsrc=r=${sampleRate}:cl=stereo,atrim=duration=${(clip.trimEnd - clip.trimStart).toFixed(3)},${audioFormat}[a${i}]`);
+    concatInputs.push(`[a${i}]`);
+  });
+
+  filters.push(`${concatInputs.join('')}concat=n=${clips.length}:v=1:a=${withAudio ? 1 : 0}[vout]${withAudio ? '[aout]' : ''}`);
+
+  return [
+    ...inputNames.flatMap(name => ['-i', name]),
+    '-filter_complex', filters.join(';'),
+    '-map', '[vout]',
+    ...(withAudio ? ['-map', '[aout]'] : []),
+    ...getVideoEncoderArgs(format, quality, { withAudio }),
+    ...threadArgs,
+    outputName,
+  ];
+}
+
+/**
+ * Join several clips, each with its own trim, into one video (see sequence.js).
+ * Pass `options.signal` (an AbortSignal) to cancel; the returned promise then
+ * rejects with an AbortError.
+ * @param {Array<{file: File, trimStart: number, trimEnd: number, hasAudio: boolean}>} clips - Clips in order
+ * @param {{format: string, quality: string, width: number, height: number, fps: number,
+ *   sampleRate: number, signal?: AbortSignal}} options - Output settings (from getSequenceFormat)
+ * @param {function(number): void} onProgress - Progress in percent
+ * @returns {Promise<Blob>}
+ */
+export function processSequence(clips, options, onProgress) {
+  return runExclusive(() => exportSequence(clips, options, onProgress), options.signal);
+}
+
+async function exportSequence(clips, options, onProgress) {
+  const { format = 'mp4', signal = null } = options;
+
+  if (clips.length < 2) {
+    throw new Error('Adicione pelo menos dois clipes para juntar');
+  }
+  if (OUTPUT_FORMATS[format]?.kind !== 'video') {
+    throw new Error('Sequências só podem ser exportadas como vídeo');
+  }
+
+  throwIfAborted(signal);
+  const ff = await initFFmpeg(onProgress);
+  throwIfAborted(signal);
+
+  const inputs = [];
+  const outputFormat = OUTPUT_FORMATS[format];
+  const outputName = `output.${outputFormat.extension}`;
+
+  // FFmpeg measures progress against the first input, which is the whole
+  // first file - rescale it to the joined length
+  const totalDuration = clips.reduce((total, clip) => total + clip.trimEnd - clip.trimStart, 0);
+  const progressScale = clips[0].duration / totalDuration;
+  const sequenceProgress = onProgress
+    ? (p) => onProgress(Math.min(100, Math.round(p * progressScale)))
+    : null;
+  progressHandler = sequenceProgress;
+
+  const handleAbort = () => restartFFmpeg();
+  signal?.addEventListener('abort', handleAbort, { once: true });
+
+  try {
+    for (const clip of clips) {
+      inputs.push(await mountInput(ff, clip.file));
+      throwIfAborted(signal);
+    }
+
+    const args = buildSequenceArgs(inputs.map(input => input.path), clips, outputName, options);
+    await ff.exec(args);
+    throwIfAborted(signal);
+
+    const data = await ff.readFile(outputName);
+    return new Blob([data.buffer], { type: outputFormat.mimeType });
+  } catch (err) {
+    // Calls interrupted by the restart reject with a termination error
+    if (signal?.aborted) {
+      throw createAbortError();
+    }
+    throw err;
+  } finally {
+    signal?.removeEventListener('abort', handleAbort);
+    if (progressHandler === sequenceProgress) {
+      progressHandler = null;
+    }
+    if (!signal?.aborted) {
+      for (const input of inputs) {
+        await unmountInput(ff, input);
+      }
+      await removeFiles(ff, [outputName]);
+    }
+  }
 }
 
 function getExtension(filename) {
@@ -197,3 +1278,7 @@ function getExtension(filename) {
 export function isFFmpegLoaded() {
   return loaded;
 }
+
+export function isFFmpegMultiThreaded() {
+  return loaded && multiThreaded;
+}
@@ -0,0 +1,174 @@
+import { readMediaLog } from './ffmpeg';
+
+/**
+ * Parse a "HH:MM:SS.ss" timestamp
+ * @param {string} value - Timestamp from the FFmpeg log
+ * @returns {number|null} Seconds, or null when unknown (N/A)
+ */
+function parseTimestamp(value) {
+    const match = value.match(/(\d+):(\d+):(\d+(?:\.\d+)?)/);
+    if (!match) return null;
+    return parseInt(match[1], 10) * 3600 + parseInt(match[2], 10) * 60 + parseFloat(match[3]);
+}
+
+/**
+ * Normalize an angle to clockwise degrees in [0, 360)
+ */
+function normalizeRotation(degrees) {
+    return ((Math.round(degrees) % 360) + 360) % 360;
+}
+
+/**
+ * Parse the stream information FFmpeg prints for an input (`ffmpeg -i`)
+ * @param {string[]} lines - Log lines
+ * @returns {object} Media info - see probeMedia
+ */
+export function parseMediaInfo(lines) {
+    const info = {
+        duration: null,
+        bitrate: null,
+        hasVideo: false,
+        hasAudio: false,
+        videoCodec: null,
+        audioCodec: null,
+        width: 0,
+        height: 0,
+        fps: null,
+        rotation: 0,
+        sampleRate: null,
+        channels: null
+    };
+    // Side data / metadata lines belong to the stream listed above them
+    let currentStream = null;
+
+    for (const line of lines) {
+        const durationMatch = line.match(/Duration:\s*([^,]+),.*bitrate:\s*(\d+)\s*kb\/s/)
+            || line.match(/Duration:\s*([^,]+)/);
+        if (durationMatch && currentStream === null) {
+            info.duration = parseTimestamp(durationMatch[1]);
+            if (durationMatch[2]) {
+                info.bitrate = parseInt(durationMatch[2], 10) * 1000;
+            }
+            continue;
+        }
+
+        const streamMatch = line.match(/Stream #\d+:\d+.*?: (Video|Audio|Subtitle|Data): (\w+)(.*)/);
+        if (streamMatch) {
+            const [, type, codec, details] = streamMatch;
+            currentStream = type;
+
+            // Only the first stream of each type is used by the exports
+            if (type === 'Video' && !info.hasVideo) {
+                info.hasVideo = true;
+                info.videoCodec = codec;
+
+                const sizeMatch = details.match(/, (\d{2,5})x(\d{2,5})/);
+                if (sizeMatch) {
+                    info.width = parseInt(sizeMatch[1], 10);
+                    info.height = parseInt(sizeMatch[2], 10);
+                }
+                const fpsMatch = details.match(/([\d.]+) fps/) || details.match(/([\d.]+)k? tbr/);
+                if (fpsMatch) {
+                    info.fps = parseFloat(fpsMatch[1]);
+                }
+            } else if (type === 'Audio' && !info.hasAudio) {
+                info.hasAudio = true;
+                info.audioCodec = codec;
+
+                const rateMatch = details.match(/(\d+) Hz/);
+                if (rateMatch) {
+                    info.sampleRate = parseInt(rateMatch[1], 10);
+                }
+                if (/\bmono\b/.test(details)) {
+                    info.channels = 1;
+                } else if (/\bstereo\b/.test(details)) {
+                    info.channels = 2;
+                } else {
+                    const channelsMatch = details.match(/(\d+) channels/) || details.match(/\b(\d)\.(\d)\b/);
+                    if (channelsMatch) {
+                        info.channels = channelsMatch[2] !== undefined
+                            ? parseInt(channelsMatch[1], 10) + parseInt(channelsMatch[2], 10)
+                            : parseInt(channelsMatch[1], 10);
+                    }
+                }
+            }
+            continue;
+        }
+
+        if (currentStream !== 'Video') continue;
+
+        // Phone videos store their orientation either as a "rotate" tag (older
+        // muxers, clockwise) or as a display matrix (counter-clockwise)
+        const rotateTagMatch = line.match(/^\s*rotate\s*:\s*(-?\d+)/);
+        if (rotateTagMatch) {
+            info.rotation = normalizeRotation(parseFloat(rotateTagMatch[1]));
+        }
+        const matrixMatch = line.match(/rotation of (-?[\d.]+) degrees/);
+        if (matrixMatch) {
+            info.rotation = normalizeRotation(-parseFloat(matrixMatch[1]));
+        }
+    }
+
+    return info;
+}
+
+/**
+ * Read the stream information of a media file
+ * @param {File} file - The media file
+ * @returns {Promise<{
+ *   duration: number|null, bitrate: number|null,
+ *   hasVideo: boolean, hasAudio: boolean,
+ *   videoCodec: string|null, audioCodec: string|null,
+ *   width: number, height: number, fps: number|null, rotation: number,
+ *   sampleRate: number|null, channels: number|null
+ * }>} Media info (duration in seconds, bitrate in bits/s, rotation in clockwise degrees)
+ */
+export async function probeMedia(file) {
+    const lines = await readMediaLog(file);
+    return parseMediaInfo(lines);
+}
+
+// How long the browser gets to find a duration the header does not carry
+const ELEMENT_DURATION_TIMEOUT = 5000;
+
+/**
+ * Read the duration through a video element. MediaRecorder WebM files have no
+ * duration in their header; seeking past the end makes the browser scan for it.
+ * @param {File} file - The video file
+ * @returns {Promise<number|null>} Duration in seconds, or null when not found
+ */
+export function readElementDuration(file) {
+    return new Promise((resolve) => {
+        const video = document.createElement('video');
+        const url = URL.createObjectURL(file);
+        let timeoutId = null;
+
+        const finish = (duration) => {
+            clearTimeout(timeoutId);
+            video.onloadedmetadata = null;
+            video.ondurationchange = null;
+            video.onerror = null;
+            video.removeAttribute('src');
+            video.load();
+            URL.revokeObjectURL(url);
+            resolve(duration);
+        };
+        const hasDuration = () => isFinite(video.duration) && video.duration > 0;
+
+        video.preload = 'metadata';
+        video.muted = true;
+        video.onloadedmetadata = () => {
+            if (hasDuration()) {
+                finish(video.duration);
+            } else {
+                video.currentTime = Number.MAX_SAFE_INTEGER;
+            }
+        };
+        video.ondurationchange = () => {
+            if (hasDuration()) finish(video.duration);
+        };
+        video.onerror = () => finish(null);
+        timeoutId = setTimeout(() => finish(null), ELEMENT_DURATION_TIMEOUT);
+        video.src = url;
+    });
+}
@@ -0,0 +1,86 @@
+/**
+ * Output sizing for video exports (MP4/WebM). Animated formats keep their own
+ * width presets (ANIMATION_QUALITY in ffmpeg.js).
+ */
+
+// Resolution presets scale the crop so its short side matches
+export const RESOLUTION_PRESETS = [
+    { key: '2160p', label: '2160p', shortSide: 2160 },
+    { key: '1080p', label: '1080p', shortSide: 1080 },
+    { key: '720p', label: '720p', shortSide: 720 },
+    { key: '480p', label: '480p', shortSide: 480 },
+];
+
+// Platform presets have a fixed size, and set the crop to the same ratio
+export const PLATFORM_PRESETS = [
+    { key: 'reels', label: 'Reels', width: 1080, height: 1920 },
+    { key: 'shorts', label: 'Shorts / TikTok', width: 1080, height: 1920 },
+    { key: 'feed', label: 'Feed 4:5', width: 1080, height: 1350 },
+    { key: 'square', label: 'Quadrado', width: 1080, height: 1080 },
+    { key: 'youtube', label: 'YouTube', width: 1920, height: 1080 },
+];
+
+// Largest custom dimension accepted
+export const MAX_OUTPUT_DIMENSION = 4096;
+
+/**
+ * Round to the nearest even number (libx264 and yuv420p need even sizes)
+ */
+export function toEven(value) {
+    return Math.max(2, Math.round(value / 2) * 2);
+}
+
+/**
+ * Final output size for a crop
+ * @param {{preset: string, width: number, height: number}} outputSize - 'source', a preset key or 'custom'
+ * @param {number} cropWidth - Cropped width in pixels
+ * @param {number} cropHeight - Cropped height in pixels
+ * @returns {{width: number, height: number, fit: boolean}|null} Even size, or null to keep the crop size.
+ *   `fit` means the crop is fitted inside the size (letterboxed) instead of stretched.
+ */
+export function getOutputDimensions(outputSize, cropWidth, cropHeight) {
+    if (!outputSize || !cropWidth || !cropHeight) return null;
+
+    const resolution = RESOLUTION_PRESETS.find(preset => preset.key === outputSize.preset);
+    if (resolution) {
+        const scale = resolution.shortSide / Math.min(cropWidth, cropHeight);
+        return { width: toEven(cropWidth * scale), height: toEven(cropHeight * scale), fit: false };
+    }
+
+    const platform = PLATFORM_PRESETS.find(preset => preset.key === outputSize.preset);
+    if (platform) {
+        return { width: platform.width, height: platform.height, fit: true };
+    }
+
+    if (outputSize.preset === 'custom') {
+        const { width, height } = outputSize;
+        if (width > 0 && height > 0) {
+            return { width: toEven(width), height: toEven(height), fit: true };
+        }
+        // One side given - keep the crop's aspect ratio
+        if (width > 0) {
+            return { width: toEven(width), height: toEven(width * cropHeight / cropWidth), fit: false };
+        }
+        if (height > 0) {
+            return { width: toEven(height * cropWidth / cropHeight), height: toEven(height), fit: false };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Build the filters that bring the cropped frame to the output size
+ * @param {{width: number, height: number, fit: boolean}} dimensions - From getOutputDimensions
+ * @returns {string[]}
+ */
+export function buildScaleFilters({ width, height, fit }) {
+    if (!fit) {
+        return [`scale=${width}:${height}:flags=lanczos`, 'setsar=1'];
+    }
+    return [
+        `scale=${width}:${height}:force_original_aspect_ratio=decrease:force_divisible_by=2:flags=lanczos`,
+        `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2`,
+        'setsar=1',
+    ];
+}
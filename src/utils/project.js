@@ -0,0 +1,143 @@
+import { INITIAL_EDIT } from './editState';
+import { createRange } from './segments';
+
+/**
+ * Edit-decision file format version. Bump whenever the saved edit changes
+ * shape; older versions are still read by merging them with INITIAL_EDIT
+ * (see normalizeEdit).
+ * 2: speed ranges, audio, playback, timelapse, transform, text overlays,
+ *    subtitles, watermark and output size
+ * 3: media hash over a sample of the file (see hashFile) instead of all of it
+ */
+export const PROJECT_VERSION = 3;
+
+const PROJECT_APP = 'cortador-de-video';
+
+// Stored as media.hashMethod; hashes saved by older versions covered the whole
+// file and are not compared
+const HASH_METHOD = 'sha256-head-tail';
+// Bytes read from each end of the file
+const HASH_SAMPLE_SIZE = 4 * 1024 * 1024;
+
+/**
+ * Compute the SHA-256 hash of the first and last HASH_SAMPLE_SIZE bytes of a
+ * file plus its size, so long recordings are never read into memory whole
+ * @param {File} file - The media file
+ * @returns {Promise<string>} Hex-encoded hash
+ */
+export async function hashFile(file) {
+    const parts = file.size > HASH_SAMPLE_SIZE * 2
+        ? [file.slice(0, HASH_SAMPLE_SIZE), file.slice(file.size - HASH_SAMPLE_SIZE)]
+        : [file];
+    const buffer = await new Blob([...parts, String(file.size)]).arrayBuffer();
+    const digest = await crypto.subtle.digest('SHA-256', buffer);
+    return Array.from(new Uint8Array(digest))
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+/**
+ * Build a project document for the current media file and edit state
+ * @param {File} file - The source media file
+ * @param {object} edit - Current edit state
+ * @returns {Promise<object>} Project document ready to be serialized
+ */
+export async function createProject(file, edit) {
+    return {
+        app: PROJECT_APP,
+        version: PROJECT_VERSION,
+        savedAt: new Date().toISOString(),
+        media: {
+            name: file.name,
+            size: file.size,
+            type: file.type,
+            hash: await hashFile(file),
+            hashMethod: HASH_METHOD
+        },
+        edit
+    };
+}
+
+/**
+ * Parse and validate a project document
+ * @param {string} text - JSON contents of the project file
+ * @returns {{media: object, edit: object}} Media info and normalized edit state
+ */
+export function parseProject(text) {
+    let project;
+    try {
+        project = JSON.parse(text);
+    } catch {
+        throw new Error('Arquivo de projeto inválido');
+    }
+
+    if (!project || project.app !== PROJECT_APP || !project.media) {
+        throw new Error('Este arquivo não é um projeto do Cortador de vídeo');
+    }
+
+    if (typeof project.version !== 'number' || project.version > PROJECT_VERSION) {
+        throw new Error('Versão de projeto não suportada. Atualize o aplicativo.');
+    }
+
+    return {
+        media: project.media,
+        edit: normalizeEdit(project.edit)
+    };
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Merge a stored edit with the defaults so projects saved before a field
+ * existed still open, and drop keys the app doesn't know about. Settings
+ * objects (audio, playback, timelapse...) are merged key by key, so fields
+ * added to them later get their default too.
+ */
+export function normalizeEdit(edit = {}) {
+    const normalized = { ...INITIAL_EDIT };
+
+    for (const key of Object.keys(INITIAL_EDIT)) {
+        if (edit[key] === undefined) continue;
+        normalized[key] = isPlainObject(INITIAL_EDIT[key]) && isPlainObject(edit[key])
+            ? { ...INITIAL_EDIT[key], ...edit[key] }
+            : edit[key];
+    }
+
+    normalized.removedRanges = (normalized.removedRanges || []).map(range => (
+        range.id ? range : createRange(range.start, range.end)
+    ));
+    normalized.speedRanges = (normalized.speedRanges || []).map(range => (
+        range.id ? range : { ...createRange(range.start, range.end), speed: range.speed }
+    ));
+    normalized.textOverlays = (normalized.textOverlays || []).map(overlay => (
+        overlay.id ? overlay : { ...overlay, id: crypto.randomUUID() }
+    ));
+
+    return normalized;
+}
+
+/**
+ * Check whether a file is the media a project was saved with
+ * @param {File} file - Candidate media file
+ * @param {object} media - Media info stored in the project
+ * @returns {Promise<string[]>} List of mismatches (empty when the file matches)
+ */
+export async function checkMediaMatch(file, media) {
+    const mismatches = [];
+
+    if (file.name !== media.name) {
+        mismatches.push(`nome (${file.name} ≠ ${media.name})`);
+    }
+    if (file.size !== media.size) {
+        mismatches.push(`tamanho (${file.size} ≠ ${media.size} bytes)`);
+    }
+    // Skip hashing when the size already differs
+    const canCompareHash = media.hash && media.hashMethod === HASH_METHOD;
+    if (file.size === media.size && canCompareHash && await hashFile(file) !== media.hash) {
+        mismatches.push('conteúdo (hash diferente)');
+    }
+
+    return mismatches;
+}
@@ -0,0 +1,213 @@
+/**
+ * Minimum length (in seconds) for a kept segment or a removed range
+ */
+export const MIN_RANGE_DURATION = 0.1;
+
+/**
+ * Pieces shorter than this (about a frame) are dropped when splitting
+ * segments at speed range boundaries
+ */
+const MIN_PIECE_DURATION = 0.04;
+
+/**
+ * Create a removed range with a unique id
+ * @param {number} start - Range start in seconds
+ * @param {number} end - Range end in seconds
+ * @returns {{id: string, start: number, end: number}}
+ */
+export function createRange(start, end) {
+    return { id: crypto.randomUUID(), start, end };
+}
+
+/**
+ * Sort removed ranges and merge the ones that overlap
+ * @param {{start: number, end: number}[]} ranges - Removed ranges
+ * @returns {{start: number, end: number}[]} Sorted, non-overlapping ranges
+ */
+export function normalizeRanges(ranges = []) {
+    const sorted = ranges
+        .filter(range => range.end - range.start > 0)
+        .slice()
+        .sort((a, b) => a.start - b.start);
+
+    const merged = [];
+    for (const range of sorted) {
+        const last = merged[merged.length - 1];
+        if (last && range.start <= last.end) {
+            last.end = Math.max(last.end, range.end);
+        } else {
+            merged.push({ start: range.start, end: range.end });
+        }
+    }
+    return merged;
+}
+
+/**
+ * Compute the segments that will be kept in the output:
+ * the trim window minus every removed range
+ * @param {number} trimStart - Trim start in seconds
+ * @param {number} trimEnd - Trim end in seconds
+ * @param {{start: number, end: number}[]} removedRanges - Ranges to cut out
+ * @returns {{start: number, end: number}[]} Kept segments in source time
+ */
+export function getKeepSegments(trimStart, trimEnd, removedRanges = []) {
+    const segments = [];
+    let cursor = trimStart;
+
+    for (const range of normalizeRanges(removedRanges)) {
+        if (range.end <= cursor) continue;
+        if (range.start >= trimEnd) break;
+
+        if (range.start - cursor >= MIN_RANGE_DURATION) {
+            segments.push({ start: cursor, end: range.start });
+        }
+        cursor = Math.max(cursor, range.end);
+    }
+
+    if (trimEnd - cursor >= MIN_RANGE_DURATION) {
+        segments.push({ start: cursor, end: trimEnd });
+    }
+
+    return segments;
+}
+
+/**
+ * Split kept segments at the speed range boundaries, so every piece carries
+ * the speed it's rendered at
+ * @param {{start: number, end: number}[]} segments - Kept segments
+ * @param {{start: number, end: number, speed: number}[]} speedRanges - Ranges with their own speed
+ * @param {number} defaultSpeed - Speed outside the ranges
+ * @returns {{start: number, end: number, speed: number}[]} Segments with their speed
+ */
+export function applySpeedRanges(segments, speedRanges = [], defaultSpeed = 1) {
+    const ranges = speedRanges
+        .filter(range => range.end - range.start > 0)
+        .slice()
+        .sort((a, b) => a.start - b.start);
+
+    const pieces = [];
+    const addPiece = (start, end, speed, contiguous) => {
+        if (end - start < MIN_PIECE_DURATION) return;
+        const last = pieces[pieces.length - 1];
+        if (contiguous && last && last.end === start && last.speed === speed) {
+            last.end = end;
+        } else {
+            pieces.push({ start, end, speed });
+        }
+    };
+
+    for (const segment of segments) {
+        let cursor = segment.start;
+        let contiguous = false;
+
+        for (const range of ranges) {
+            if (range.end <= cursor) continue;
+            if (range.start >= segment.end) break;
+
+            const rangeStart = Math.max(cursor, range.start);
+            const rangeEnd = Math.min(range.end, segment.end);
+            addPiece(cursor, rangeStart, defaultSpeed, contiguous);
+            addPiece(rangeStart, rangeEnd, range.speed, true);
+            cursor = rangeEnd;
+            contiguous = true;
+        }
+        addPiece(cursor, segment.end, defaultSpeed, contiguous);
+    }
+
+    return pieces;
+}
+
+/**
+ * Speed at a given source time
+ * @param {{start: number, end: number, speed: number}[]} speedRanges - Ranges with their own speed
+ * @param {number} time - Source time in seconds
+ * @param {number} defaultSpeed - Speed outside the ranges
+ * @returns {number}
+ */
+export function getSpeedAt(speedRanges, time, defaultSpeed = 1) {
+    const range = speedRanges
+        .slice()
+        .sort((a, b) => a.start - b.start)
+        .find(r => time >= r.start && time < r.end);
+    return range ? range.speed : defaultSpeed;
+}
+
+/**
+ * Output duration of segments rendered at their own speed
+ * @param {{start: number, end: number, speed?: number}[]} segments
+ * @returns {number} Duration in seconds
+ */
+export function getOutputDuration(segments) {
+    return segments.reduce((total, segment) => total + (segment.end - segment.start) / (segment.speed || 1), 0);
+}
+
+/**
+ * Total duration of a list of segments
+ * @param {{start: number, end: number}[]} segments
+ * @returns {number} Duration in seconds
+ */
+export function getSegmentsDuration(segments) {
+    return segments.reduce((total, segment) => total + (segment.end - segment.start), 0);
+}
+
+/**
+ * Map a source time to its position in the output: the output duration of
+ * everything kept before it
+ * @param {{start: number, end: number, speed?: number}[]} segments - Kept segments
+ * @param {number} time - Source time in seconds
+ * @returns {number} Output offset in seconds
+ */
+export function getOutputOffset(segments, time) {
+    let offset = 0;
+    for (const segment of segments) {
+        if (time <= segment.start) break;
+        offset += (Math.min(time, segment.end) - segment.start) / (segment.speed || 1);
+    }
+    return offset;
+}
+
+/**
+ * Find the removed range containing a given time
+ * @param {{start: number, end: number}[]} ranges - Removed ranges
+ * @param {number} time - Time in seconds
+ * @returns {{start: number, end: number} | null}
+ */
+export function findRangeAt(ranges, time) {
+    return normalizeRanges(ranges).find(range => time >= range.start && time < range.end) || null;
+}
+
+/**
+ * Snap segment boundaries to the nearest keyframes, so they can be cut
+ * with stream copy (no re-encode) without broken frames at the start
+ * @param {{start: number, end: number}[]} segments - Segments in source time
+ * @param {number[]} keyframes - Sorted keyframe times in seconds
+ * @param {number} duration - Video duration (always a valid end point)
+ * @returns {{start: number, end: number}[]} Snapped, non-overlapping segments
+ */
+export function snapSegmentsToKeyframes(segments, keyframes, duration) {
+    if (keyframes.length === 0) return segments;
+
+    const nearest = (time) => keyframes.reduce(
+        (best, keyframe) => (Math.abs(keyframe - time) < Math.abs(best - time) ? keyframe : best),
+        keyframes[0]
+    );
+
+    const snapped = [];
+    for (const segment of segments) {
+        const start = nearest(segment.start);
+        let end = nearest(segment.end);
+        if (duration > 0 && Math.abs(duration - segment.end) < Math.abs(end - segment.end)) {
+            end = duration;
+        }
+        if (end - start < MIN_RANGE_DURATION) continue;
+
+        // Two segments may snap onto each other when a removed range is shorter than a GOP
+        const last = snapped[snapped.length - 1];
+        if (last && start <= last.end) {
+            last.end = Math.max(last.end, end);
+        } else {
+            snapped.push({ start, end });
+        }
+    }
+    return snapped;
+}
@@ -0,0 +1,115 @@
+import { toEven, MAX_OUTPUT_DIMENSION } from './outputSize';
+import { MIN_RANGE_DURATION } from './segments';
+
+// Sequences are always re-encoded to a video container
+export const SEQUENCE_FORMATS = ['mp4', 'webm'];
+
+// Every clip is converted to this sample rate (and to stereo) before joining
+export const SEQUENCE_SAMPLE_RATE = 48000;
+
+// Frame rate used when no clip reports one, and the highest one kept
+const DEFAULT_SEQUENCE_FPS = 30;
+const MAX_SEQUENCE_FPS = 60;
+
+/**
+ * Clip waiting for its probe
+ * @param {File} file - Video file
+ * @param {{duration?: number, trimStart?: number, trimEnd?: number}} known - Values already known
+ *   by the editor (screen recordings have no duration in their header)
+ */
+export function createPendingClip(file, known = {}) {
+    return {
+        id: crypto.randomUUID(),
+        file,
+        status: 'probing',
+        error: null,
+        duration: known.duration ?? null,
+        trimStart: known.trimStart ?? 0,
+        trimEnd: known.trimEnd ?? null,
+        width: 0,
+        height: 0,
+        fps: null,
+        hasAudio: false
+    };
+}
+
+/**
+ * Fill a pending clip with its probe result
+ * @param {object} clip - From createPendingClip
+ * @param {object} media - Probe result (see probeMedia)
+ * @returns {object} Ready clip
+ */
+export function applyClipProbe(clip, media) {
+    if (!media.hasVideo || !media.width || !media.height) {
+        throw new Error('Arquivo sem faixa de vídeo');
+    }
+    const duration = clip.duration || media.duration;
+    if (!duration) {
+        throw new Error('Não foi possível ler a duração do vídeo');
+    }
+
+    // The probed size is before the orientation metadata, which FFmpeg applies first
+    const isQuarterTurn = media.rotation % 180 !== 0;
+    return {
+        ...clip,
+        status: 'ready',
+        duration,
+        trimEnd: clip.trimEnd > clip.trimStart ? Math.min(clip.trimEnd, duration) : duration,
+        width: isQuarterTurn ? media.height : media.width,
+        height: isQuarterTurn ? media.width : media.height,
+        fps: media.fps,
+        hasAudio: media.hasAudio
+    };
+}
+
+/**
+ * Clamp a trim change so the clip keeps at least MIN_RANGE_DURATION
+ * @param {object} clip - Ready clip
+ * @param {{trimStart?: number, trimEnd?: number}} patch - New trim values
+ */
+export function clampClipTrim(clip, patch) {
+    const trimStart = patch.trimStart ?? clip.trimStart;
+    const trimEnd = patch.trimEnd ?? clip.trimEnd;
+    if ('trimStart' in patch) {
+        return { trimStart: Math.max(0, Math.min(trimStart, trimEnd - MIN_RANGE_DURATION)), trimEnd };
+    }
+    return { trimStart, trimEnd: Math.min(clip.duration, Math.max(trimEnd, trimStart + MIN_RANGE_DURATION)) };
+}
+
+/**
+ * Move the clip at `from` to position `to`
+ * @returns {object[]} New clip list
+ */
+export function moveClip(clips, from, to) {
+    const next = [...clips];
+    const [clip] = next.splice(from, 1);
+    next.splice(to, 0, clip);
+    return next;
+}
+
+/**
+ * Length of the joined video in seconds
+ */
+export function getSequenceDuration(clips) {
+    return clips.reduce((total, clip) => total + (clip.trimEnd - clip.trimStart), 0);
+}
+
+/**
+ * Common format every clip is converted to: the size of the largest clip
+ * (smaller ones are letterboxed), the highest frame rate and a fixed sample rate
+ * @param {object[]} clips - Ready clips
+ * @returns {{width: number, height: number, fps: number, sampleRate: number}}
+ */
+export function getSequenceFormat(clips) {
+    const largest = clips.reduce((best, clip) => (clip.width * clip.height > best.width * best.height ? clip : best));
+    const fit = Math.min(1, MAX_OUTPUT_DIMENSION / Math.max(largest.width, largest.height));
+    const rates = clips.map(clip => clip.fps).filter(Boolean);
+    const fps = rates.length > 0 ? Math.min(MAX_SEQUENCE_FPS, Math.round(Math.max(...rates))) : DEFAULT_SEQUENCE_FPS;
+
+    return {
+        width: toEven(largest.width * fit),
+        height: toEven(largest.height * fit),
+        fps,
+        sampleRate: SEQUENCE_SAMPLE_RATE
+    };
+}
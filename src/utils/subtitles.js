@@ -0,0 +1,152 @@
+import { getOutputOffset } from './segments';
+
+// Cues shorter than this after retiming (mostly cut away) are dropped
+const MIN_CUE_DURATION = 0.05;
+
+// Formatting tags libass understands in SRT - everything else is stripped
+const KEPT_TAGS = /^<\/?[biu]>$/i;
+
+/**
+ * Parse a "HH:MM:SS,mmm" (SRT) or "[HH:]MM:SS.mmm" (WebVTT) timestamp
+ * @param {string} value - Timestamp
+ * @returns {number|null} Seconds
+ */
+function parseTimestamp(value) {
+    const match = value.trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{2})[.,](\d{1,3})/);
+    if (!match) return null;
+    const [, hours = '0', minutes, seconds, fraction] = match;
+    return parseInt(hours, 10) * 3600 +
+        parseInt(minutes, 10) * 60 +
+        parseInt(seconds, 10) +
+        parseInt(fraction.padEnd(3, '0'), 10) / 1000;
+}
+
+/**
+ * Parse an SRT or WebVTT file
+ * @param {string} text - File contents
+ * @returns {{start: number, end: number, text: string}[]} Cues in source seconds
+ */
+export function parseSubtitles(text) {
+    const blocks = text
+        .replace(/^\uFEFF/, '')
+        .replace(/\r\n?/g, '\n')
+        .split(/\n{2,}/);
+
+    const cues = [];
+    for (const block of blocks) {
+        const lines = block.split('\n');
+        const timingIndex = lines.findIndex(line => line.includes('-->'));
+        // Headers, NOTE and STYLE blocks have no timing line
+        if (timingIndex === -1) continue;
+
+        const [startText, endText] = lines[timingIndex].split('-->');
+        const start = parseTimestamp(startText);
+        // WebVTT cue settings follow the end time
+        const end = parseTimestamp(endText.trim().split(/\s+/)[0]);
+        const cueText = lines
+            .slice(timingIndex + 1)
+            .join('\n')
+            .replace(/<[^>]+>/g, tag => (KEPT_TAGS.test(tag) ? tag : ''))
+            .trim();
+
+        if (start === null || end === null || end <= start || !cueText) continue;
+        cues.push({ start, end, text: cueText });
+    }
+
+    if (cues.length === 0) {
+        throw new Error('Nenhuma legenda encontrada no arquivo');
+    }
+    return cues.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Text of a cue without formatting tags (for the preview)
+ */
+export function getPlainCueText(cue) {
+    return cue.text.replace(/<[^>]+>/g, '');
+}
+
+/**
+ * Find the cue shown at a source time
+ * @param {{start: number, end: number}[]} cues
+ * @param {number} time - Source time in seconds
+ */
+export function findCueAt(cues, time) {
+    return cues.find(cue => time >= cue.start && time < cue.end) || null;
+}
+
+/**
+ * Move cues from source time to output time, following the trim, removed
+ * ranges and speed of the kept segments. Cues that were cut away are dropped.
+ * @param {{start: number, end: number, text: string}[]} cues - Cues in source seconds
+ * @param {{start: number, end: number, speed?: number}[]} segments - Kept segments
+ * @returns {{start: number, end: number, text: string}[]} Cues in output seconds
+ */
+export function retimeCues(cues, segments) {
+    return cues
+        .map(cue => ({
+            ...cue,
+            start: getOutputOffset(segments, cue.start),
+            end: getOutputOffset(segments, cue.end)
+        }))
+        .filter(cue => cue.end - cue.start >= MIN_CUE_DURATION);
+}
+
+// Seconds → "HH:MM:SS,mmm"
+function formatSrtTimestamp(seconds) {
+    const totalMs = Math.round(seconds * 1000);
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor((totalMs % 3600000) / 60000);
+    const secs = Math.floor((totalMs % 60000) / 1000);
+    const ms = totalMs % 1000;
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(hours)}:${pad(minutes)}:${pad(secs)},${pad(ms, 3)}`;
+}
+
+/**
+ * Serialize cues as SRT (what FFmpeg gets, whatever the imported format was)
+ * @param {{start: number, end: number, text: string}[]} cues
+ * @returns {string}
+ */
+export function toSrt(cues) {
+    return cues
+        .map((cue, i) => `${i + 1}\n${formatSrtTimestamp(cue.start)} --> ${formatSrtTimestamp(cue.end)}\n${cue.text}\n`)
+        .join('\n');
+}
+
+// Names inside the FFmpeg virtual filesystem
+export const SUBTITLE_FILE = 'subtitles.srt';
+// libass loads every font in this directory, so it only holds the bundled font
+export const SUBTITLE_FONTS_DIR = 'fonts';
+
+// Family name of the bundled overlay font (DejaVu Sans Bold)
+const SUBTITLE_FONT_NAME = 'DejaVu Sans';
+
+/**
+ * Build the filter that burns the subtitle file into the video
+ * @returns {string} Filter
+ */
+export function buildSubtitlesFilter() {
+    return `subtitles=filename=${SUBTITLE_FILE}:fontsdir=${SUBTITLE_FONTS_DIR}` +
+        `:force_style='FontName=${SUBTITLE_FONT_NAME},Bold=1'`;
+}
+
+// FFmpeg turns SRT into an ASS script with a 288-line canvas, 16px text and a
+// 10px bottom margin, which libass scales to the frame
+const ASS_PLAY_RES_Y = 288;
+const ASS_FONT_SIZE = 16;
+const ASS_MARGIN_V = 10;
+
+/**
+ * Size of burned-in subtitles for a frame height, so the preview matches the export
+ * @param {number} frameHeight - Output frame height (in any unit)
+ * @returns {{fontSize: number, marginBottom: number, outline: number}}
+ */
+export function getSubtitleMetrics(frameHeight) {
+    const unit = frameHeight / ASS_PLAY_RES_Y;
+    return {
+        fontSize: ASS_FONT_SIZE * unit,
+        marginBottom: ASS_MARGIN_V * unit,
+        outline: unit
+    };
+}
@@ -0,0 +1,140 @@
+import fontUrl from 'dejavu-fonts-ttf/ttf/DejaVuSans-Bold.ttf?url';
+
+/**
+ * Font used by text overlays - bundled so drawtext works offline, and loaded
+ * into the page so the preview matches the export
+ */
+export const OVERLAY_FONT_URL = fontUrl;
+export const OVERLAY_FONT_FAMILY = 'Overlay DejaVu Sans';
+
+// Name of the font file inside the FFmpeg virtual filesystem
+export const OVERLAY_FONT_FILE = 'overlay-font.ttf';
+
+let fontPromise = null;
+
+/**
+ * Make the overlay font available to the page (once)
+ * @returns {Promise<void>}
+ */
+export function loadOverlayFont() {
+    if (!fontPromise) {
+        const font = new FontFace(OVERLAY_FONT_FAMILY, `url(${OVERLAY_FONT_URL})`);
+        fontPromise = font.load()
+            .then(loaded => {
+                document.fonts.add(loaded);
+            })
+            .catch(err => {
+                console.warn('Failed to load overlay font:', err);
+            });
+    }
+    return fontPromise;
+}
+
+/**
+ * Create a text overlay shown from `start` to `end`, placed near the bottom
+ * of the crop area
+ * @param {number} start - Start in source seconds
+ * @param {number} end - End in source seconds
+ * @param {{x: number, y: number, width: number, height: number}} cropArea - Current crop
+ */
+export function createTextOverlay(start, end, cropArea) {
+    const fontSize = Math.max(16, Math.round(cropArea.height / 15));
+    return {
+        id: crypto.randomUUID(),
+        text: 'Texto',
+        x: Math.round(cropArea.x + cropArea.width * 0.1),
+        y: Math.round(cropArea.y + cropArea.height * 0.8),
+        fontSize,
+        color: '#ffffff',
+        box: true,
+        boxColor: '#000000',
+        boxOpacity: 0.5,
+        start,
+        end
+    };
+}
+
+// Rough advance of a DejaVu Sans Bold character and line height, in ems
+const AVERAGE_CHAR_WIDTH = 0.62;
+const LINE_HEIGHT = 1.2;
+
+/**
+ * Approximate box of an overlay's text, in video pixels - enough to keep an
+ * overlay on the same spot when the frame is rotated or flipped
+ */
+export function getTextOverlayBox(overlay) {
+    const lines = overlay.text.split('\n');
+    return {
+        x: overlay.x,
+        y: overlay.y,
+        width: Math.max(...lines.map(line => line.length)) * overlay.fontSize * AVERAGE_CHAR_WIDTH,
+        height: lines.length * overlay.fontSize * LINE_HEIGHT
+    };
+}
+
+/**
+ * Padding of the background box, in video pixels
+ */
+export function getBoxPadding(overlay) {
+    return Math.round(overlay.fontSize * 0.25);
+}
+
+/**
+ * Whether an overlay is visible at a source time
+ */
+export function isOverlayVisible(overlay, time) {
+    return time >= overlay.start && time < overlay.end;
+}
+
+/**
+ * Name of the file holding an overlay's text in the FFmpeg virtual filesystem
+ * (drawtext reads it with textfile=, which avoids escaping user text)
+ */
+export function getTextFileName(index) {
+    return `overlay-text${index}.txt`;
+}
+
+// "#rrggbb" → "0xrrggbb@opacity"
+function toFFmpegColor(hex, opacity = 1) {
+    return `0x${hex.replace('#', '')}@${opacity}`;
+}
+
+/**
+ * "#rrggbb" with an opacity → CSS rgba() for the preview
+ */
+export function toCssColor(hex, opacity = 1) {
+    const value = parseInt(hex.replace('#', ''), 16);
+    return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${opacity})`;
+}
+
+/**
+ * Build the drawtext filter for one overlay
+ * @param {object} overlay - Text overlay
+ * @param {number} index - Overlay index (matches getTextFileName)
+ * @param {object} placement
+ * @param {number} placement.offsetX - Crop x, overlays are positioned in source pixels
+ * @param {number} placement.offsetY - Crop y
+ * @param {number} placement.start - Start in output seconds
+ * @param {number} placement.end - End in output seconds
+ * @returns {string} Filter
+ */
+export function buildDrawtextFilter(overlay, index, { offsetX, offsetY, start, end }) {
+    const params = [
+        `fontfile=${OVERLAY_FONT_FILE}`,
+        `textfile=${getTextFileName(index)}`,
+        'expansion=none',
+        `x=${Math.round(overlay.x - offsetX)}`,
+        `y=${Math.round(overlay.y - offsetY)}`,
+        `fontsize=${Math.round(overlay.fontSize)}`,
+        `fontcolor=${toFFmpegColor(overlay.color)}`,
+    ];
+    if (overlay.box) {
+        params.push(
+            'box=1',
+            `boxcolor=${toFFmpegColor(overlay.boxColor, overlay.boxOpacity)}`,
+            `boxborderw=${getBoxPadding(overlay)}`
+        );
+    }
+    params.push(`enable='between(t,${start.toFixed(3)},${end.toFixed(3)})'`);
+    return `drawtext=${params.join(':')}`;
+}
@@ -0,0 +1,112 @@
+/**
+ * Rotate/flip applied to the whole frame before the crop.
+ *
+ * The output is `flip(rotate(source))`: the rotation (clockwise degrees) runs
+ * first, then the flips mirror the rotated frame. Crop, text overlays and the
+ * watermark all live in this transformed frame.
+ *
+ * Orientation metadata from phones (see mediaProbe rotation) is already applied
+ * by the browser and by FFmpeg's autorotate, so this is only the user's extra
+ * correction on top of what the preview shows.
+ */
+
+export const IDENTITY_TRANSFORM = { rotation: 0, flipH: false, flipV: false };
+
+/**
+ * Whether a transform changes anything
+ */
+export function isIdentityTransform(transform) {
+    return transform.rotation === 0 && !transform.flipH && !transform.flipV;
+}
+
+/**
+ * Frame size after the transform (quarter turns swap width and height)
+ * @param {number} width - Source width
+ * @param {number} height - Source height
+ * @param {{rotation: number}} transform
+ * @returns {{width: number, height: number}}
+ */
+export function getTransformedSize(width, height, transform) {
+    return transform.rotation % 180 === 0
+        ? { width, height }
+        : { width: height, height: width };
+}
+
+/**
+ * Rotate the output a quarter turn. Flipping then rotating equals rotating then
+ * flipping the other axis, so the flips swap to keep `flip(rotate(source))`.
+ * @param {object} transform - Current transform
+ * @param {1|-1} direction - 1 = clockwise, -1 = counter-clockwise
+ */
+export function rotateTransform(transform, direction) {
+    return {
+        rotation: (transform.rotation + direction * 90 + 360) % 360,
+        flipH: transform.flipV,
+        flipV: transform.flipH
+    };
+}
+
+/**
+ * Move a rectangle along with a quarter turn of the frame it lives in
+ * @param {{x: number, y: number, width: number, height: number}} rect
+ * @param {{width: number, height: number}} frame - Frame size before the turn
+ * @param {1|-1} direction - 1 = clockwise, -1 = counter-clockwise
+ */
+export function rotateRect(rect, frame, direction) {
+    return direction === 1
+        ? { x: frame.height - rect.y - rect.height, y: rect.x, width: rect.height, height: rect.width }
+        : { x: rect.y, y: frame.width - rect.x - rect.width, width: rect.height, height: rect.width };
+}
+
+/**
+ * Mirror a rectangle along with a flip of its frame
+ * @param {{x: number, y: number, width: number, height: number}} rect
+ * @param {{width: number, height: number}} frame - Frame size
+ * @param {'flipH'|'flipV'} axis
+ */
+export function flipRect(rect, frame, axis) {
+    return axis === 'flipH'
+        ? { ...rect, x: frame.width - rect.x - rect.width }
+        : { ...rect, y: frame.height - rect.y - rect.height };
+}
+
+/**
+ * Move an upright box (text, logo) along with its frame: the centre follows the
+ * picture while the box keeps its size and orientation
+ * @param {{x: number, y: number, width: number, height: number}} rect
+ * @param {function(object): object} moveRect - rotateRect or flipRect bound to the frame
+ */
+export function moveUprightRect(rect, moveRect) {
+    const center = moveRect({ x: rect.x + rect.width / 2, y: rect.y + rect.height / 2, width: 0, height: 0 });
+    return { ...rect, x: center.x - rect.width / 2, y: center.y - rect.height / 2 };
+}
+
+/**
+ * FFmpeg filters for a transform, in the order they have to run
+ * @returns {string[]}
+ */
+export function buildTransformFilters(transform) {
+    const filters = [];
+    if (transform.rotation === 90) {
+        filters.push('transpose=clock');
+    } else if (transform.rotation === 180) {
+        filters.push('hflip', 'vflip');
+    } else if (transform.rotation === 270) {
+        filters.push('transpose=cclock');
+    }
+    if (transform.flipH) filters.push('hflip');
+    if (transform.flipV) filters.push('vflip');
+    return filters;
+}
+
+/**
+ * CSS transform for the preview - CSS applies the functions right to left,
+ * so the rotation runs before the flips like in the export
+ */
+export function getPreviewTransform(transform) {
+    const parts = [];
+    if (transform.flipH) parts.push('scaleX(-1)');
+    if (transform.flipV) parts.push('scaleY(-1)');
+    parts.push(`rotate(${transform.rotation}deg)`);
+    return parts.join(' ');
+}
@@ -0,0 +1,131 @@
+const BRAND_STORAGE_KEY = 'cortador:brandWatermark';
+
+// Logos are rasterized to PNG (FFmpeg can't read SVG) no larger than this
+const MAX_IMAGE_SIZE = 1024;
+// SVGs without an intrinsic size are drawn at this width
+const DEFAULT_SVG_WIDTH = 512;
+
+// Distance from the edges in corner presets, relative to the smaller crop side
+const CORNER_MARGIN = 0.03;
+
+// Name of the image inside the FFmpeg virtual filesystem
+export const WATERMARK_FILE = 'watermark.png';
+
+export const WATERMARK_CORNERS = [
+    { key: 'top-left', label: '↖', title: 'Superior esquerdo' },
+    { key: 'top-right', label: '↗', title: 'Superior direito' },
+    { key: 'bottom-left', label: '↙', title: 'Inferior esquerdo' },
+    { key: 'bottom-right', label: '↘', title: 'Inferior direito' },
+];
+
+// Width of the watermark relative to the crop width
+export const WATERMARK_SCALE_RANGE = { min: 0.05, max: 0.6 };
+
+/**
+ * Load a PNG/SVG (or any image the browser decodes) as a PNG data URL
+ * @param {File} file - Image file
+ * @returns {Promise<{name: string, src: string, width: number, height: number}>}
+ */
+export async function loadWatermarkImage(file) {
+    const url = URL.createObjectURL(file);
+    try {
+        const img = new Image();
+        img.src = url;
+        await img.decode().catch(() => {
+            throw new Error('Não foi possível ler a imagem');
+        });
+
+        let width = img.naturalWidth || DEFAULT_SVG_WIDTH;
+        let height = img.naturalHeight || DEFAULT_SVG_WIDTH;
+        const fit = Math.min(1, MAX_IMAGE_SIZE / Math.max(width, height));
+        width = Math.max(1, Math.round(width * fit));
+        height = Math.max(1, Math.round(height * fit));
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        canvas.getContext('2d').drawImage(img, 0, 0, width, height);
+
+        return { name: file.name, src: canvas.toDataURL('image/png'), width, height };
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+/**
+ * Create a watermark in the bottom-right corner
+ * @param {{name: string, src: string, width: number, height: number}} image - From loadWatermarkImage
+ */
+export function createWatermark(image) {
+    return {
+        image,
+        // Corner preset, or null for a custom position (x/y)
+        corner: 'bottom-right',
+        // Custom position of the top-left corner, relative to the crop
+        x: 0,
+        y: 0,
+        scale: 0.15,
+        opacity: 0.8
+    };
+}
+
+/**
+ * Where the watermark lands, in source pixels
+ * @param {object} watermark - Watermark
+ * @param {{x: number, y: number, width: number, height: number}} cropArea - Current crop
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+export function getWatermarkRect(watermark, cropArea) {
+    const width = Math.max(1, Math.round(cropArea.width * watermark.scale));
+    const height = Math.max(1, Math.round(width * watermark.image.height / watermark.image.width));
+    const margin = Math.min(cropArea.width, cropArea.height) * CORNER_MARGIN;
+
+    let x = cropArea.x + watermark.x * cropArea.width;
+    let y = cropArea.y + watermark.y * cropArea.height;
+    if (watermark.corner) {
+        const [vertical, horizontal] = watermark.corner.split('-');
+        x = horizontal === 'left' ? cropArea.x + margin : cropArea.x + cropArea.width - width - margin;
+        y = vertical === 'top' ? cropArea.y + margin : cropArea.y + cropArea.height - height - margin;
+    }
+    return { x: Math.round(x), y: Math.round(y), width, height };
+}
+
+/**
+ * Build the filters for the watermark input (scale + opacity) and the overlay
+ * @param {object} watermark - Watermark
+ * @param {{x: number, y: number, width: number, height: number}} rect - Placement relative to the output frame
+ * @returns {{imageFilter: string, overlayFilter: string}}
+ */
+export function buildWatermarkFilters(watermark, rect) {
+    return {
+        imageFilter: `scale=${rect.width}:${rect.height},format=rgba,colorchannelmixer=aa=${watermark.opacity.toFixed(2)}`,
+        overlayFilter: `overlay=x=${rect.x}:y=${rect.y}:format=auto`
+    };
+}
+
+/**
+ * Watermark saved as the brand default, or null
+ */
+export function getBrandWatermark() {
+    try {
+        return JSON.parse(localStorage.getItem(BRAND_STORAGE_KEY));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Save a watermark (image, position, scale and opacity) as the brand default,
+ * applied to every new video. Pass null to clear it.
+ */
+export function setBrandWatermark(watermark) {
+    if (!watermark) {
+        localStorage.removeItem(BRAND_STORAGE_KEY);
+        return;
+    }
+    try {
+        localStorage.setItem(BRAND_STORAGE_KEY, JSON.stringify(watermark));
+    } catch {
+        throw new Error('A imagem é grande demais para salvar como padrão');
+    }
+}
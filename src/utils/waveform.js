@@ -0,0 +1,29 @@
+import { extractAudioSamples } from './ffmpeg';
+
+const WAVEFORM_SAMPLE_RATE = 8000;
+
+/**
+ * Compute the audio waveform of a media file. Decoding runs in the FFmpeg
+ * worker and peak detection in a dedicated worker, keeping the UI responsive.
+ * @param {File} file - The media file
+ * @param {number} peakCount - Number of peaks (horizontal resolution)
+ * @returns {Promise<Float32Array|null>} Peaks between 0 and 1, or null when there is no audio
+ */
+export async function generateWaveform(file, peakCount = 1000) {
+    const samples = await extractAudioSamples(file, WAVEFORM_SAMPLE_RATE);
+    if (!samples || samples.length === 0) return null;
+
+    const worker = new Worker(new URL('../workers/waveform.worker.js', import.meta.url), { type: 'module' });
+    try {
+        return await new Promise((resolve, reject) => {
+            worker.onmessage = (event) => resolve(event.data);
+            worker.onerror = (event) => reject(new Error(event.message || 'Waveform worker failed'));
+            worker.postMessage(
+                { samples, peakCount: Math.min(peakCount, samples.length) },
+                [samples.buffer]
+            );
+        });
+    } finally {
+        worker.terminate();
+    }
+}
@@ -0,0 +1,21 @@
+/**
+ * Reduce mono 16-bit PCM samples to a list of peaks (0..1), one per bucket
+ */
+self.onmessage = (event) => {
+    const { samples, peakCount } = event.data;
+    const peaks = new Float32Array(peakCount);
+    const bucketSize = samples.length / peakCount;
+
+    for (let i = 0; i < peakCount; i++) {
+        const start = Math.floor(i * bucketSize);
+        const end = Math.min(samples.length, Math.floor((i + 1) * bucketSize));
+        let max = 0;
+        for (let j = start; j < end; j++) {
+            const value = Math.abs(samples[j]);
+            if (value > max) max = value;
+        }
+        peaks[i] = max / 32768;
+    }
+
+    self.postMessage(peaks, [peaks.buffer]);
+};